@@ -17,7 +17,9 @@ import Koa from 'koa';
 import logger from './middlewares/logger.js';
 import errorHandler from './middlewares/error-handler.js';
 import router from './routes/index.js';
+import apiV1Router from './routes/api-v1.js';
 import { startTelegramBot } from './services/telegram.service.js';
+import { startMetricsSampler } from './services/metrics.service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -29,6 +31,11 @@ if(!config.APP_USERNAME || !config.APP_PASSWORD){
     process.exit(2)
 }
 
+if(config.OIDC_ENABLED && (!config.OIDC_ISSUER || !config.OIDC_CLIENT_ID)){
+    console.log("OIDC is enabled but OIDC_ISSUER or OIDC_CLIENT_ID is not set")
+    process.exit(2)
+}
+
 if(!config.APP_SESSION_SECRET){
     const randomString = generateRandomString()
     setEnvDataSync(config.APP_DIR, { APP_SESSION_SECRET: randomString})
@@ -60,6 +67,8 @@ app.use(new CSRF({
     invalidTokenMessage: 'Invalid CSRF token',
     invalidTokenStatusCode: 403,
     excludedMethods: ['GET', 'HEAD', 'OPTIONS'],
+    // The token API only accepts Authorization headers, which browsers never send cross-site on their own
+    ignoredPathGlobs: ['/api/v1/**'],
     disableQuery: false
 }));
 
@@ -69,6 +78,7 @@ app.use(serve(path.join(__dirname, 'public')));
 app.use(errorHandler);
 
 app.use(router.routes());
+app.use(apiV1Router.routes());
 
 render(app, {
     root: path.join(__dirname, 'views'),
@@ -105,4 +115,7 @@ if (config.HTTPS_ENABLED) {
 }
 
 // Start Telegram bot (if configured)
-startTelegramBot();
\ No newline at end of file
+startTelegramBot();
+
+// Start sampling app metrics (unless disabled)
+startMetricsSampler();
\ No newline at end of file
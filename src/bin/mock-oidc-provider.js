@@ -0,0 +1,188 @@
+import http from 'http';
+import crypto from 'crypto';
+
+/**
+ * Minimal OpenID Connect provider for trying single sign-on locally, never for production
+ * Its login form accepts any username and groups, the ID token carries them in the `groups` claim.
+ * Serves discovery, authorization (code flow with PKCE), token, JWKS and userinfo on 127.0.0.1 only.
+ *
+ *   MOCK_OIDC_PORT=8080 npm run mock-oidc-provider
+ *   OIDC_ISSUER=http://127.0.0.1:8080  OIDC_CLIENT_ID=pm2-webui  (any client id and secret are accepted)
+ */
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 8080;
+const ISSUER = `http://127.0.0.1:${PORT}`;
+const CODE_TTL = 60 * 1000;
+const TOKEN_TTL = 5 * 60;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(4).toString('hex');
+const jwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+
+// Authorization codes and access tokens, both kept in memory until used or expired
+const codes = new Map();
+const accessTokens = new Map();
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const signJwt = (claims) => {
+    const unsigned = `${base64url({ alg: 'RS256', kid: KEY_ID, typ: 'JWT' })}.${base64url(claims)}`;
+    return `${unsigned}.${crypto.sign('sha256', Buffer.from(unsigned), privateKey).toString('base64url')}`;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const readBody = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+});
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+};
+
+const redirect = (res, url) => {
+    res.writeHead(302, { Location: url.href });
+    res.end();
+};
+
+// Claims of the user entered in the login form
+const toClaims = ({ username, groups }) => ({
+    sub: `mock-${username}`,
+    preferred_username: username,
+    email: `${username}@example.com`,
+    groups: groups.split(',').map(group => group.trim()).filter(Boolean)
+});
+
+const discovery = {
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+    scopes_supported: ['openid', 'profile', 'email', 'groups'],
+    claims_supported: ['sub', 'preferred_username', 'email', 'groups']
+};
+
+const AUTHORIZE_PARAMS = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge', 'code_challenge_method'];
+
+const loginForm = (params) => `<!DOCTYPE html>
+<html>
+<head><title>Mock OIDC login</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto">
+    <h2>Mock OIDC login</h2>
+    <p>Client <code>${escapeHtml(params.client_id)}</code>. Any username is accepted.</p>
+    <form method="post" action="/authorize">
+        ${AUTHORIZE_PARAMS.map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name] ?? '')}">`).join('\n        ')}
+        <p><label>Username<br><input name="username" value="jane.doe" required></label></p>
+        <p><label>Groups, comma separated<br><input name="groups" value="pm2-admins"></label></p>
+        <p><button type="submit">Log in</button> <button type="submit" name="deny" value="1">Deny</button></p>
+    </form>
+</body>
+</html>`;
+
+async function authorize(req, res, url) {
+    if (req.method === 'GET') {
+        const params = Object.fromEntries(url.searchParams);
+        if (!params.client_id || !params.redirect_uri || params.response_type !== 'code') {
+            return sendJson(res, 400, { error: 'invalid_request', error_description: 'client_id, redirect_uri and response_type=code are required' });
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        return res.end(loginForm(params));
+    }
+
+    const form = Object.fromEntries(await readBody(req));
+    const callback = new URL(form.redirect_uri);
+    callback.searchParams.set('state', form.state);
+    callback.searchParams.set('iss', ISSUER);
+
+    if (form.deny) {
+        callback.searchParams.set('error', 'access_denied');
+        callback.searchParams.set('error_description', 'The user denied the login');
+        return redirect(res, callback);
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    codes.set(code, { ...form, expiresAt: Date.now() + CODE_TTL });
+    callback.searchParams.set('code', code);
+    return redirect(res, callback);
+}
+
+async function token(req, res) {
+    const params = await readBody(req);
+    const basic = req.headers.authorization?.startsWith('Basic ')
+        ? decodeURIComponent(Buffer.from(req.headers.authorization.slice(6), 'base64').toString().split(':')[0])
+        : null;
+    const clientId = basic ?? params.get('client_id');
+    const grant = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+
+    if (params.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown or expired code' });
+    }
+    if (grant.client_id !== clientId || grant.redirect_uri !== params.get('redirect_uri')) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'client_id or redirect_uri does not match the authorization' });
+    }
+    const challenge = crypto.createHash('sha256').update(params.get('code_verifier') ?? '').digest('base64url');
+    if (grant.code_challenge && challenge !== grant.code_challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = toClaims(grant);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, { claims, expiresAt: Date.now() + TOKEN_TTL * 1000 });
+
+    return sendJson(res, 200, {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: TOKEN_TTL,
+        id_token: signJwt({ iss: ISSUER, aud: clientId, iat: now, exp: now + TOKEN_TTL, nonce: grant.nonce || undefined, ...claims })
+    });
+}
+
+function userinfo(req, res) {
+    const entry = accessTokens.get(req.headers.authorization?.replace(/^Bearer /, ''));
+    if (!entry || entry.expiresAt < Date.now()) {
+        return sendJson(res, 401, { error: 'invalid_token' });
+    }
+    return sendJson(res, 200, entry.claims);
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, ISSUER);
+    console.log(`${req.method} ${url.pathname}`);
+
+    try {
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, discovery);
+        }
+        if (url.pathname === '/jwks') {
+            return sendJson(res, 200, { keys: [jwk] });
+        }
+        if (url.pathname === '/authorize') {
+            return await authorize(req, res, url);
+        }
+        if (url.pathname === '/token' && req.method === 'POST') {
+            return await token(req, res);
+        }
+        if (url.pathname === '/userinfo') {
+            return userinfo(req, res);
+        }
+        return sendJson(res, 404, { error: 'not_found' });
+    } catch (err) {
+        console.error('Mock OIDC request failed:', err);
+        return sendJson(res, 400, { error: 'invalid_request', error_description: err.message });
+    }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Mock OIDC provider on ${ISSUER}`);
+});
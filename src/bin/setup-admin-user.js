@@ -1,6 +1,9 @@
 import prompts from 'prompts';
+import QRCode from 'qrcode';
 import config from '../config/index.js';
 import { createAdminUser } from '../services/admin.service.js';
+import { createTotpSettings, totpSetupUri } from '../services/user.service.js';
+import { generateTotpSecret, verifyTotpCode } from '../utils/totp.util.js';
 
 const username_regex = /^(?=.{4,}$)[a-z0-9_]+$/
 const password_regex = /^(?=.*\d)(?=.*[!@#$%^&*])(?=.*[a-z])(?=.*[A-Z]).{8,}$/
@@ -41,6 +44,12 @@ const questions = [
       return true
     }
   },
+  {
+    type: 'confirm',
+    name: 'twoFactor',
+    message: 'Enable two-factor authentication (TOTP) ? Otherwise it is turned off for this user',
+    initial: config.REQUIRE_ADMIN_2FA
+  },
   {
     type: 'confirm',
     name: 'agreed',
@@ -52,9 +61,34 @@ const onCancel = prompt => {
   console.log('Bye Bye!');
 }
 
+// Show the QR code in the terminal and wait for a matching code of the authenticator app
+const setupTwoFactor = async (username) => {
+  const secret = generateTotpSecret()
+  console.log(await QRCode.toString(totpSetupUri(username, secret), { type: 'terminal', small: true }))
+  console.log(`Scan the QR code with your authenticator app, or enter this secret: ${secret}`)
+  const { code } = await prompts({
+    type: 'text',
+    name: 'code',
+    message: 'Authenticator Code',
+    validate: value => verifyTotpCode(secret, value) === null ? 'Code is incorrect' : true
+  }, { onCancel })
+  if(!code){
+    return null
+  }
+  return createTotpSettings(secret, verifyTotpCode(secret, code))
+}
+
 (async () => {
   const response = await prompts(questions, { onCancel });
   if(response.agreed){
-    createAdminUser(response.username, response.password)
+    const twoFactor = response.twoFactor ? await setupTwoFactor(response.username) : null
+    if(response.twoFactor && !twoFactor){
+      return
+    }
+    await createAdminUser(response.username, response.password, twoFactor?.totp)
+    if(twoFactor){
+      console.log('Recovery codes, each one logs in once without the authenticator. Save them, they are not shown again:')
+      console.log(twoFactor.recoveryCodes.join('\n'))
+    }
   }
 })();
\ No newline at end of file
@@ -19,9 +19,82 @@ const config = {
     TELEGRAM_ALLOWED_USER_IDS: process.env.TELEGRAM_ALLOWED_USER_IDS
         ? process.env.TELEGRAM_ALLOWED_USER_IDS.split(',').map(id => parseInt(id.trim(), 10)).filter(id => !isNaN(id))
         : [],
+    // Metrics Configuration
+    METRICS_ENABLED: process.env.METRICS_ENABLED !== 'false',
+    METRICS_SAMPLE_INTERVAL: (parseInt(process.env.METRICS_SAMPLE_INTERVAL, 10) || 30) * 1000,
+    METRICS_RETENTION_DAYS: parseInt(process.env.METRICS_RETENTION_DAYS, 10) || 7,
+    // Prometheus exporter, GET /metrics is only served when a token is set
+    PROMETHEUS_METRICS_TOKEN: process.env.PROMETHEUS_METRICS_TOKEN || null,
+    // Variables whose name contains one of these are masked in the .env editor for users who cannot edit it
+    ENV_SECRET_PATTERNS: (process.env.ENV_SECRET_PATTERNS || 'SECRET,PASSWORD,PASSWD,TOKEN,KEY,PRIVATE,CREDENTIAL,AUTH,SALT,DSN')
+        .split(',').map(pattern => pattern.trim().toUpperCase()).filter(Boolean),
+    // Admins must set up TOTP two-factor authentication before using the UI
+    REQUIRE_ADMIN_2FA: process.env.REQUIRE_ADMIN_2FA === 'true',
+    // OpenID Connect single sign-on, alongside the local login
+    OIDC_ENABLED: process.env.OIDC_ENABLED === 'true',
+    OIDC_ISSUER: process.env.OIDC_ISSUER || null,
+    OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID || null,
+    OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || null,
+    OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI || null,
+    OIDC_SCOPES: process.env.OIDC_SCOPES || 'openid profile email',
+    OIDC_USERNAME_CLAIM: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    OIDC_GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    OIDC_ADMIN_GROUPS: (process.env.OIDC_ADMIN_GROUPS || '').split(',').map(group => group.trim()).filter(Boolean),
+    OIDC_VIEWER_GROUPS: (process.env.OIDC_VIEWER_GROUPS || '').split(',').map(group => group.trim()).filter(Boolean),
+    OIDC_BUTTON_LABEL: process.env.OIDC_BUTTON_LABEL || 'Log in with SSO',
     DEFAULTS: {
         LINES_PER_REQUEST: 50,
+        MAX_LINES_PER_REQUEST: 1000,
+        LOG_READ_CHUNK_BYTES: 64 * 1024,
+        LOG_FILTER_MAX_SCAN_BYTES: 16 * 1024 * 1024,
         BCRYPT_HASH_ROUNDS: 10,
+        PM2_HEALTH_CHECK_INTERVAL: 10 * 1000,
+        PM2_RECONNECT_BASE_DELAY: 1000,
+        PM2_RECONNECT_MAX_DELAY: 30 * 1000,
+        PM2_QUEUE_TIMEOUT: 30 * 1000,
+        LOG_TAIL_POLL_INTERVAL: 1000,
+        LOG_TAIL_BACKLOG_BYTES: 10000,
+        LOG_TAIL_MAX_READ_BYTES: 1024 * 1024,
+        LOG_STREAM_HEARTBEAT_INTERVAL: 15 * 1000,
+        SEARCH_DEFAULT_RESULTS: 50,
+        SEARCH_MAX_RESULTS: 500,
+        SEARCH_MAX_CONTEXT: 20,
+        SEARCH_MAX_QUERY_LENGTH: 500,
+        SEARCH_MAX_LINE_LENGTH: 64 * 1024,
+        SEARCH_REGEX_TIMEOUT: 10 * 1000,
+        SEARCH_REGEX_MEMORY_MB: 64,
+        ECOSYSTEM_EVAL_TIMEOUT: 5 * 1000,
+        ECOSYSTEM_EVAL_MEMORY_MB: 64,
+        METRICS_RAW_RETENTION: 24 * 60 * 60 * 1000,
+        METRICS_ROLLUP_STEP: 5 * 60 * 1000,
+        METRICS_MAINTENANCE_INTERVAL: 60 * 60 * 1000,
+        METRICS_DEFAULT_RANGE: 60 * 60 * 1000,
+        METRICS_DEFAULT_POINTS: 300,
+        METRICS_MAX_POINTS: 1000,
+        AUDIT_PAGE_SIZE: 100,
+        AUDIT_MAX_PAGE_SIZE: 1000,
+        AUDIT_EXPORT_MAX_EVENTS: 100000,
+        TOTP_ISSUER: 'PM2 WebUI',
+        TWO_FACTOR_RECOVERY_CODES: 10,
+        TWO_FACTOR_LOGIN_TIMEOUT: 5 * 60 * 1000,
+        TWO_FACTOR_MAX_ATTEMPTS: 5,
+        LOGIN_DELAY_BASE: 1000,
+        LOGIN_DELAY_MAX: 30 * 1000,
+        LOGIN_MAX_ACCOUNT_FAILURES: 5,
+        LOGIN_MAX_IP_FAILURES: 20,
+        LOGIN_FAILURE_WINDOW: 15 * 60 * 1000,
+        LOGIN_LOCKOUT_DURATION: 15 * 60 * 1000,
+        LOGIN_TRACKED_KEYS_MAX: 10000,
+        OIDC_LOGIN_TIMEOUT: 10 * 60 * 1000,
+        ENV_HISTORY_MAX_VERSIONS: 50,
+        DIFF_MAX_TABLE_CELLS: 4 * 1000 * 1000,
+        GIT_LOG_DEFAULT_COMMITS: 20,
+        GIT_LOG_MAX_COMMITS: 100,
+        DEPLOY_HISTORY_MAX: 50,
+        DEPLOY_STEP_TIMEOUT: 15 * 60 * 1000,
+        DEPLOY_STEP_OUTPUT_MAX_LENGTH: 64 * 1024,
+        DEPLOY_HEALTH_CHECK_TIMEOUT: 60 * 1000,
+        DEPLOY_HEALTH_CHECK_INTERVAL: 2000,
     }
 };
 
@@ -0,0 +1,1385 @@
+import { createRequire } from 'module';
+import config from '../config/index.js';
+import { USER_ROLES, API_TOKEN_SCOPES } from '../services/user.service.js';
+import { APP_ACCESS_LEVELS } from '../utils/app-access.util.js';
+import { AUDIT_SOURCES, AUDIT_OUTCOMES } from '../services/audit.service.js';
+import { DEPLOY_INSTALL_MODES, DEPLOY_RELOAD_MODES, DEPLOY_STATUSES } from '../services/deploy.service.js';
+
+const require = createRequire(import.meta.url);
+const { version } = require('../../package.json');
+
+const {
+    MAX_LINES_PER_REQUEST,
+    SEARCH_MAX_RESULTS,
+    SEARCH_MAX_CONTEXT,
+    SEARCH_MAX_QUERY_LENGTH,
+    METRICS_MAX_POINTS,
+    AUDIT_MAX_PAGE_SIZE,
+    AUDIT_EXPORT_MAX_EVENTS,
+    GIT_LOG_MAX_COMMITS
+} = config.DEFAULTS;
+
+/**
+ * OpenAPI 3 description of every /api route, served at /api/openapi.json
+ * Parameter and request body schemas are also what validate-request.js checks
+ * incoming requests against, so keep them inline (no $ref) and in sync with the routes.
+ */
+
+const LOG_LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// Parameters
+
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, schema, description });
+const queryParam = (name, schema, description, required = false) => ({ name, in: 'query', required, schema, description });
+
+const appNameParam = pathParam('appName', { type: 'string', minLength: 1 }, 'PM2 process name');
+const logTypeParam = pathParam('logType', { type: 'string', enum: ['stdout', 'stderr'] }, 'Log file');
+const pagedLogTypeParam = pathParam('logType', { type: 'string', enum: ['stdout', 'stderr', 'merged'] }, 'Log file, or `merged` for both interleaved by timestamp');
+const timeSchema = { type: 'string', minLength: 1 };
+
+const logPageParams = [
+    queryParam('cursor', { type: 'string' }, 'Cursor from a previous page (`previousCursor` / `nextCursor`)'),
+    queryParam('direction', { type: 'string', enum: ['backward', 'forward'] }, 'Paging direction from the cursor, merged logs only page backward'),
+    queryParam('from', { type: 'string', pattern: '^(start|end|\\d+)$' }, 'Where to start without a cursor: `start`, `end` or a byte offset'),
+    queryParam('linesPerRequest', { type: 'integer', minimum: 1, maximum: MAX_LINES_PER_REQUEST }, 'Lines per page'),
+    queryParam('since', timeSchema, 'Only lines logged at or after this time (epoch ms or date string)'),
+    queryParam('until', timeSchema, 'Only lines logged before this time (epoch ms or date string)'),
+    queryParam('level', { type: 'string', enum: LOG_LEVELS }, 'Minimum level of JSON log lines'),
+    queryParam('field', { type: 'array', items: { type: 'string', pattern: '^[^=]+=' } }, '`path=value` condition on JSON log lines, repeat to require several')
+];
+
+const metricsParams = [
+    queryParam('from', timeSchema, 'Range start (epoch ms or date string), defaults to an hour before `to`'),
+    queryParam('to', timeSchema, 'Range end (epoch ms or date string), defaults to now'),
+    queryParam('step', { type: 'string', pattern: '^[1-9]\\d*(s|m|h|d)?$' }, `Point interval in seconds or with a unit (30s, 5m, 1h), at most ${METRICS_MAX_POINTS} points are returned`)
+];
+
+const auditFilterParams = [
+    queryParam('from', timeSchema, 'Events at or after this time (epoch ms or date string)'),
+    queryParam('to', timeSchema, 'Events at or before this time (epoch ms or date string)'),
+    queryParam('actor', { type: 'string' }, 'Username, or `telegram:<user id>` for the bot'),
+    queryParam('action', { type: 'string' }, 'Action, e.g. `app.restart`, or a prefix ending with `*` like `app.*`'),
+    queryParam('target', { type: 'string' }, 'App name or username the action applied to'),
+    queryParam('source', { type: 'string', enum: AUDIT_SOURCES }, 'Where the action came from'),
+    queryParam('outcome', { type: 'string', enum: AUDIT_OUTCOMES })
+];
+
+// Schemas
+
+const errorSchema = {
+    type: 'object',
+    properties: {
+        error: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                status: { type: 'integer' },
+                details: { type: 'object', description: 'Extra context, e.g. the invalid parameters or the output of a failed git pull' }
+            },
+            required: ['message', 'status']
+        }
+    }
+};
+
+const resultSchema = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' }
+    },
+    required: ['success']
+};
+
+const appSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        pm_id: { type: 'integer' },
+        pid: { type: 'integer', nullable: true },
+        status: { type: 'string', example: 'online' },
+        cpu: { type: 'number', description: 'Percent' },
+        memory: { type: 'integer', description: 'Bytes' },
+        pm_uptime: { type: 'integer', nullable: true, description: 'Last start, epoch ms' },
+        created_at: { type: 'integer', nullable: true, description: 'Epoch ms' },
+        restart_time: { type: 'integer' },
+        unstable_restarts: { type: 'integer' },
+        exec_mode: { type: 'string', enum: ['fork_mode', 'cluster_mode'] },
+        instances: { type: 'integer' },
+        node_version: { type: 'string', nullable: true },
+        pm_exec_path: { type: 'string', description: 'Script path' },
+        args: { type: 'array', items: { type: 'string' } },
+        watch: { type: 'boolean' }
+    }
+};
+
+const appDetailsSchema = {
+    allOf: [appSchema, {
+        type: 'object',
+        properties: {
+            pm_out_log_path: { type: 'string' },
+            pm_err_log_path: { type: 'string' },
+            pm2_env_cwd: { type: 'string' }
+        }
+    }]
+};
+
+const logPageSchema = (lineProperties) => ({
+    type: 'object',
+    properties: {
+        lines: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    lineNumber: { type: 'integer', nullable: true },
+                    offset: { type: 'integer' },
+                    source: { type: 'string', enum: ['stdout', 'stderr'], description: 'Merged logs only' },
+                    timestamp: { type: 'integer', nullable: true, description: 'Merged logs only, epoch ms' },
+                    ...lineProperties
+                }
+            }
+        },
+        previousCursor: { type: 'string', nullable: true },
+        nextCursor: { type: 'string', nullable: true },
+        atStart: { type: 'boolean' },
+        atEnd: { type: 'boolean' },
+        fileSize: { type: 'integer' },
+        linesPerRequest: { type: 'integer' },
+        reset: { type: 'boolean', description: 'The cursor no longer matched the file (rotated or truncated), paging restarted' }
+    }
+});
+
+const metricsSchema = {
+    type: 'object',
+    properties: {
+        from: { type: 'integer' },
+        to: { type: 'integer' },
+        step: { type: 'integer', description: 'ms' },
+        points: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    t: { type: 'integer' },
+                    instances: { type: 'integer' },
+                    restarts: { type: 'integer' },
+                    cpu: { type: 'number', nullable: true },
+                    memory: { type: 'number', nullable: true },
+                    loopDelay: { type: 'number', nullable: true },
+                    loopDelayP95: { type: 'number', nullable: true },
+                    heapUsed: { type: 'number', nullable: true },
+                    heapTotal: { type: 'number', nullable: true }
+                }
+            }
+        }
+    }
+};
+
+const updateStatusSchema = {
+    type: 'object',
+    properties: {
+        hasUpdates: { type: 'boolean' },
+        message: { type: 'string' },
+        currentCommit: { type: 'string' },
+        remoteCommit: { type: 'string' }
+    }
+};
+
+const gitCommitSchema = {
+    type: 'object',
+    properties: {
+        hash: { type: 'string' },
+        shortHash: { type: 'string' },
+        author: { type: 'string' },
+        date: { type: 'string', format: 'date-time' },
+        subject: { type: 'string' }
+    }
+};
+
+const gitRefSchema = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        commit: { type: 'string', description: 'Short hash of the commit, the tagged one for tags' },
+        date: { type: 'string', format: 'date-time' },
+        subject: { type: 'string' }
+    }
+};
+
+const gitRefsSchema = {
+    type: 'object',
+    properties: {
+        branch: { type: 'string', nullable: true, description: 'Checked out branch, null when a tag or commit is checked out' },
+        commit: { type: 'string', nullable: true },
+        branches: { type: 'array', items: gitRefSchema, description: 'Branches of origin, without the `origin/` prefix, newest first' },
+        tags: { type: 'array', items: gitRefSchema, description: 'Newest first' }
+    }
+};
+
+const gitIncomingSchema = {
+    type: 'object',
+    properties: {
+        branch: { type: 'string', nullable: true },
+        total: { type: 'integer', description: 'Commits behind origin, `commits` only has the first `limit`' },
+        commits: { type: 'array', items: gitCommitSchema },
+        message: { type: 'string' }
+    }
+};
+
+const gitCheckoutResultSchema = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        message: { type: 'string' },
+        output: { type: 'string' },
+        branch: { type: 'string', nullable: true },
+        commit: { type: 'string' }
+    }
+};
+
+const gitLogParams = [
+    queryParam('ref', { type: 'string', minLength: 1 }, 'Branch, tag or commit, defaults to the checked out one. Branches only on origin are found by their name.'),
+    queryParam('limit', { type: 'integer', minimum: 1, maximum: GIT_LOG_MAX_COMMITS }, 'Number of commits')
+];
+
+const deploySettingsProperties = {
+    install: { type: 'string', enum: DEPLOY_INSTALL_MODES, description: '`auto`: when the lockfile or package.json changed, or node_modules is missing' },
+    buildScript: { type: 'string', nullable: true, pattern: '^[\\w:.-]+$', description: 'package.json script run after the install, none when null' },
+    reloadMode: { type: 'string', enum: DEPLOY_RELOAD_MODES },
+    healthCheckDelay: { type: 'integer', minimum: 0, maximum: 600, description: 'Seconds the process must stay online without restarting after the reload' },
+    healthCheckUrl: { type: 'string', nullable: true, pattern: '^https?://\\S+$', maxLength: 2000, description: 'Also wait for this URL to answer 2xx or 3xx, only on localhost, 127.x.x.x or [::1]' },
+    rollback: { type: 'boolean', description: 'Roll back to the previous commit when a step fails' }
+};
+const deploySettingsSchema = { type: 'object', properties: deploySettingsProperties };
+
+const deploySchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        status: { type: 'string', enum: DEPLOY_STATUSES, description: '`failed`: nothing was rolled back, `interrupted`: PM2 WebUI stopped during the deploy' },
+        author: { type: 'string' },
+        source: { type: 'string', enum: ['web', 'api'] },
+        branch: { type: 'string', nullable: true },
+        fromCommit: { type: 'string' },
+        toCommit: { type: 'string', nullable: true },
+        startedAt: { type: 'string', format: 'date-time' },
+        finishedAt: { type: 'string', format: 'date-time', nullable: true },
+        error: { type: 'string', nullable: true },
+        steps: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string', enum: ['pull', 'install', 'build', 'reload', 'health', 'checkout'] },
+                    phase: { type: 'string', enum: ['deploy', 'rollback'] },
+                    status: { type: 'string', enum: ['running', 'success', 'failed', 'skipped'] },
+                    startedAt: { type: 'string', format: 'date-time' },
+                    finishedAt: { type: 'string', format: 'date-time', nullable: true },
+                    output: { type: 'string', description: 'Only in the detail of a deploy' }
+                }
+            }
+        }
+    }
+};
+
+const deployIdParam = pathParam('id', { type: 'integer', minimum: 1 }, 'Deploy number');
+
+const envEntrySchema = {
+    type: 'object',
+    description: 'Line of the .env file, in file order. Values are written as they are between the quotes.',
+    properties: {
+        type: { type: 'string', enum: ['variable', 'comment', 'blank'] },
+        key: { type: 'string', description: 'Variables only' },
+        value: { type: 'string', nullable: true, description: 'Null when the value is masked' },
+        quote: { type: 'string', enum: ['', '"', "'", '`'], description: 'Kept when the value allows it' },
+        export: { type: 'boolean', description: 'Prefixed with `export`' },
+        comment: { type: 'string', nullable: true, description: 'Comment after the value, starting with #' },
+        text: { type: 'string', description: 'Comments only, with the leading #' },
+        secret: { type: 'boolean', description: 'The name or value looks like a secret (ENV_SECRET_PATTERNS or a URL with a password)' },
+        masked: { type: 'boolean', description: 'The value is hidden from the user' }
+    },
+    required: ['type']
+};
+const envVersionSchema = {
+    type: 'object',
+    properties: {
+        version: { type: 'integer' },
+        timestamp: { type: 'string', format: 'date-time' },
+        author: { type: 'string', nullable: true, description: 'Null for changes found on disk' },
+        source: { type: 'string', enum: ['web', 'api', 'disk'], description: '`disk` for changes made outside PM2 WebUI, recorded before the next save' },
+        comment: { type: 'string', nullable: true },
+        lines: { type: 'integer', description: 'Non-empty lines' }
+    }
+};
+const processEnvSchema = {
+    type: 'object',
+    properties: {
+        key: { type: 'string' },
+        value: { type: 'string', nullable: true, description: 'Null when masked or missing from the process' },
+        status: { type: 'string', nullable: true, enum: ['applied', 'pending', 'missing', null], description: 'Compared with the .env file: same value, different value, not in the process, or null when not in the file' },
+        secret: { type: 'boolean' },
+        masked: { type: 'boolean' }
+    }
+};
+const envRestartSchema = { type: 'boolean', description: 'Restart the app with the values of the file merged into its environment, like `pm2 restart --update-env`' };
+const envCommentSchema = { type: 'string', maxLength: 200, description: 'Shown in the history' };
+const envErrorsSchema = { type: 'array', items: { type: 'string' }, description: 'Syntax errors and duplicate keys, e.g. `Line 3: PORT is already set on line 1`' };
+
+const apiTokenSchema = {
+    type: 'object',
+    properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        prefix: { type: 'string', description: 'First characters of the token, to recognise it' },
+        scopes: { type: 'array', items: { type: 'string', enum: API_TOKEN_SCOPES } },
+        createdAt: { type: 'string', format: 'date-time' },
+        lastUsedAt: { type: 'string', format: 'date-time', nullable: true }
+    }
+};
+
+const appAccessSchema = {
+    type: 'array',
+    nullable: true,
+    description: 'Apps the user is limited to, `null` for every app with the access of their role',
+    items: {
+        type: 'object',
+        properties: {
+            pattern: { type: 'string', minLength: 1, maxLength: 200, description: 'App name, `*` and `?` are wildcards' },
+            access: { type: 'string', enum: APP_ACCESS_LEVELS, description: '`view`: app, logs and metrics. `control`: also start, stop, restart, env, git...' }
+        },
+        required: ['pattern', 'access']
+    }
+};
+
+const userSchema = {
+    type: 'object',
+    properties: {
+        username: { type: 'string' },
+        role: { type: 'string', enum: USER_ROLES },
+        disabled: { type: 'boolean', description: 'Disabled users cannot log in or use their API tokens' },
+        appAccess: appAccessSchema,
+        createdAt: { type: 'string', format: 'date-time' },
+        updatedAt: { type: 'string', format: 'date-time', nullable: true },
+        twoFactor: { type: 'boolean', description: 'TOTP two-factor authentication is enabled' },
+        sso: { type: 'boolean', description: 'Logs in with OIDC single sign-on, the role follows the IdP groups' },
+        lockedUntil: { type: 'string', format: 'date-time', nullable: true, description: 'Login is locked until then after too many failed attempts' },
+        apiTokens: { type: 'integer', description: 'Number of API tokens' }
+    }
+};
+
+const auditEventSchema = {
+    type: 'object',
+    properties: {
+        timestamp: { type: 'string', format: 'date-time' },
+        actor: { type: 'string', nullable: true },
+        source: { type: 'string', enum: AUDIT_SOURCES },
+        action: { type: 'string', example: 'app.restart' },
+        target: { type: 'string', nullable: true },
+        outcome: { type: 'string', enum: AUDIT_OUTCOMES },
+        error: { type: 'string', nullable: true },
+        details: { type: 'object' },
+        ip: { type: 'string', nullable: true }
+    }
+};
+
+// Operations
+
+const jsonBody = (schema) => ({ required: true, content: { 'application/json': { schema } } });
+const jsonResponse = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const objectOf = (key, schema) => ({ type: 'object', properties: { [key]: schema } });
+
+const ERROR_RESPONSES = {
+    400: 'BadRequest',
+    401: 'Unauthorized',
+    403: 'Forbidden',
+    404: 'NotFound',
+    409: 'Conflict'
+};
+const errors = (...codes) => Object.fromEntries(codes.map(code => [code, { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` }]));
+
+// `app` is the access the user needs to the `{appName}` app, apps they cannot see answer 404
+const appAccessNote = (app) => app ? `Requires \`${app}\` access to the app.` : null;
+const appAccessErrors = (app) => app ? [404, ...(app === 'control' ? [403] : [])] : [];
+
+const sessionOperation = ({ admin = false, app = null, ...operation }) => ({
+    ...operation,
+    description: [operation.description, admin ? 'Admin only.' : null, appAccessNote(app)].filter(Boolean).join(' ') || undefined,
+    security: [{ session: [] }],
+    responses: { ...operation.responses, 302: { description: 'Not logged in, redirects to /login' }, ...errors(...(admin ? [403] : []), ...appAccessErrors(app)) }
+});
+
+const tokenOperation = ({ scope, app = null, ...operation }) => ({
+    ...operation,
+    description: [operation.description, scope ? `Requires the \`${scope}\` scope.` : null, appAccessNote(app)].filter(Boolean).join(' ') || undefined,
+    'x-required-scope': scope,
+    security: [{ bearer: [] }],
+    responses: { ...operation.responses, ...errors(401, ...(scope ? [403] : []), ...appAccessErrors(app)) }
+});
+
+const appAction = (summary) => sessionOperation({
+    tags: ['Apps'],
+    summary,
+    app: 'control',
+    parameters: [appNameParam],
+    responses: { 200: jsonResponse('`success: false` when PM2 did not act on any process', resultSchema), ...errors(400) }
+});
+
+const tokenAppAction = (summary) => tokenOperation({
+    tags: ['API v1'],
+    summary,
+    scope: 'control',
+    app: 'control',
+    parameters: [appNameParam],
+    responses: { 200: jsonResponse('Done', resultSchema), ...errors(404) }
+});
+
+const usernameParam = pathParam('username', { type: 'string', minLength: 1 }, 'Username');
+const passwordSchema = { type: 'string', minLength: 8, maxLength: 200, description: 'At least 8 characters with a symbol, upper and lower case letters and a number' };
+const totpCodeSchema = { type: 'string', minLength: 6, maxLength: 20, description: 'Current 6 digit code of the authenticator app' };
+const recoveryCodesResultSchema = {
+    type: 'object',
+    properties: {
+        success: { type: 'boolean' },
+        recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'Single use codes for the second login step, only returned here' },
+        message: { type: 'string' }
+    }
+};
+const twoFactorStatusSchema = {
+    type: 'object',
+    properties: {
+        enabled: { type: 'boolean' },
+        enabledAt: { type: 'string', format: 'date-time', nullable: true },
+        recoveryCodesLeft: { type: 'integer' },
+        required: { type: 'boolean', description: 'Admins cannot turn it off when `REQUIRE_ADMIN_2FA` is set' }
+    }
+};
+const lockoutSchema = (key) => ({
+    type: 'object',
+    properties: {
+        [key]: { type: 'string' },
+        failures: { type: 'integer', description: 'Failed attempts in the current window' },
+        lockedUntil: { type: 'string', format: 'date-time' }
+    }
+});
+const envRollbackBody = jsonBody({
+    type: 'object',
+    properties: {
+        version: { type: 'integer', minimum: 1 },
+        restart: envRestartSchema
+    },
+    required: ['version']
+});
+const gitCheckoutBody = jsonBody({
+    type: 'object',
+    properties: {
+        ref: { type: 'string', minLength: 1, maxLength: 255, description: 'Branch (local or of origin), tag or commit' }
+    },
+    required: ['ref']
+});
+const deploySettingsBody = jsonBody({ type: 'object', properties: deploySettingsProperties });
+const userResultSchema = { type: 'object', properties: { success: { type: 'boolean' }, user: userSchema, message: { type: 'string' } } };
+
+const userAction = (summary, { description, requestBody } = {}) => sessionOperation({
+    tags: ['Users'],
+    summary,
+    description,
+    admin: true,
+    parameters: [usernameParam],
+    requestBody,
+    responses: { 200: jsonResponse('Done, or `success: false` with the problem, e.g. the last active admin would be lost', userResultSchema), ...errors(400) }
+});
+
+const paths = {
+    '/api/pm2/health': {
+        get: sessionOperation({
+            tags: ['PM2'],
+            summary: 'PM2 daemon connection state',
+            responses: {
+                200: jsonResponse('Connected', objectOf('pm2', { type: 'object' })),
+                503: jsonResponse('Not connected, reconnecting', objectOf('pm2', { type: 'object' }))
+            }
+        })
+    },
+    '/api/launch/preview': {
+        post: sessionOperation({
+            tags: ['Launch'],
+            summary: 'Resolve an app config or ecosystem file without starting it',
+            admin: true,
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    source: { type: 'string', enum: ['form', 'file', 'upload'] },
+                    app: { type: 'object', description: 'Form fields (`form`)' },
+                    filePath: { type: 'string', description: 'Ecosystem file on this server (`file`)' },
+                    fileName: { type: 'string', description: 'Uploaded file name (`upload`)' },
+                    content: { type: 'string', description: 'Uploaded file content (`upload`)' }
+                },
+                required: ['source']
+            }),
+            responses: { 200: jsonResponse('Resolved apps, or `success: false` with the problem', { type: 'object', properties: { success: { type: 'boolean' }, apps: { type: 'array', items: { type: 'object' } }, existing: { type: 'array', items: { type: 'string' } }, message: { type: 'string' } } }), ...errors(400) }
+        })
+    },
+    '/api/launch': {
+        post: sessionOperation({
+            tags: ['Launch'],
+            summary: 'Start apps from a config or ecosystem file',
+            description: 'Takes the same body as the preview.',
+            admin: true,
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    source: { type: 'string', enum: ['form', 'file', 'upload'] },
+                    app: { type: 'object' },
+                    filePath: { type: 'string' },
+                    fileName: { type: 'string' },
+                    content: { type: 'string' }
+                },
+                required: ['source']
+            }),
+            responses: { 200: jsonResponse('Started app names, or `success: false` with the problem', { type: 'object', properties: { success: { type: 'boolean' }, apps: { type: 'array', items: { type: 'string' } }, message: { type: 'string' } } }), ...errors(400) }
+        })
+    },
+    '/api/tokens': {
+        get: sessionOperation({
+            tags: ['API Tokens'],
+            summary: 'API tokens of the logged in user',
+            responses: { 200: jsonResponse('Tokens, without the secret', objectOf('tokens', { type: 'array', items: apiTokenSchema })) }
+        }),
+        post: sessionOperation({
+            tags: ['API Tokens'],
+            summary: 'Create an API token',
+            description: 'The plain token is only returned in this response. Scopes beyond `read` need control access to at least one app.',
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    name: { type: 'string', minLength: 1, maxLength: 100 },
+                    scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_TOKEN_SCOPES } }
+                },
+                required: ['name', 'scopes']
+            }),
+            responses: { 200: jsonResponse('Created token, or `success: false` with the problem', { type: 'object', properties: { success: { type: 'boolean' }, token: { allOf: [apiTokenSchema, objectOf('token', { type: 'string' })] }, message: { type: 'string' } } }), ...errors(400) }
+        })
+    },
+    '/api/tokens/{tokenId}/revoke': {
+        post: sessionOperation({
+            tags: ['API Tokens'],
+            summary: 'Revoke an API token',
+            parameters: [pathParam('tokenId', { type: 'string', pattern: '^[0-9a-f]{16}$' }, 'Token id')],
+            responses: { 200: jsonResponse('Revoked, or `success: false` when the token does not exist', resultSchema), ...errors(400) }
+        })
+    },
+    '/api/account/password': {
+        post: sessionOperation({
+            tags: ['Users'],
+            summary: 'Change the password of the logged in user',
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    currentPassword: { type: 'string', minLength: 1 },
+                    newPassword: passwordSchema
+                },
+                required: ['currentPassword', 'newPassword']
+            }),
+            responses: { 200: jsonResponse('Changed, or `success: false` when the current password is wrong', resultSchema), ...errors(400) }
+        })
+    },
+    '/api/account/2fa': {
+        get: sessionOperation({
+            tags: ['Two-Factor'],
+            summary: 'Two-factor status of the logged in user',
+            responses: { 200: jsonResponse('Status', twoFactorStatusSchema) }
+        })
+    },
+    '/api/account/2fa/setup': {
+        post: sessionOperation({
+            tags: ['Two-Factor'],
+            summary: 'Start the TOTP setup',
+            description: 'Returns a new secret for the authenticator app. It is only used once `/api/account/2fa/enable` confirms a code.',
+            responses: {
+                200: jsonResponse('Secret, or `success: false` when two-factor is already enabled', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        secret: { type: 'string', description: 'Base32 secret, for manual entry' },
+                        uri: { type: 'string', description: '`otpauth://` URI' },
+                        qrCode: { type: 'string', description: 'The URI as a PNG data URL' },
+                        message: { type: 'string' }
+                    }
+                }),
+                ...errors(400)
+            }
+        })
+    },
+    '/api/account/2fa/enable': {
+        post: sessionOperation({
+            tags: ['Two-Factor'],
+            summary: 'Enable TOTP with a code from the authenticator app',
+            requestBody: jsonBody({ type: 'object', properties: { code: totpCodeSchema }, required: ['code'] }),
+            responses: { 200: jsonResponse('Enabled with its recovery codes, or `success: false` when the code is wrong', recoveryCodesResultSchema), ...errors(400) }
+        })
+    },
+    '/api/account/2fa/disable': {
+        post: sessionOperation({
+            tags: ['Two-Factor'],
+            summary: 'Disable TOTP',
+            description: 'Refused for admins when `REQUIRE_ADMIN_2FA` is set.',
+            requestBody: jsonBody({ type: 'object', properties: { password: { type: 'string', minLength: 1 } }, required: ['password'] }),
+            responses: { 200: jsonResponse('Disabled, or `success: false` with the problem', resultSchema), ...errors(400) }
+        })
+    },
+    '/api/account/2fa/recovery-codes': {
+        post: sessionOperation({
+            tags: ['Two-Factor'],
+            summary: 'Replace the recovery codes',
+            description: 'The previous codes stop working.',
+            requestBody: jsonBody({ type: 'object', properties: { code: totpCodeSchema }, required: ['code'] }),
+            responses: { 200: jsonResponse('New recovery codes, or `success: false` when the code is wrong', recoveryCodesResultSchema), ...errors(400) }
+        })
+    },
+    '/api/users': {
+        get: sessionOperation({
+            tags: ['Users'],
+            summary: 'All users',
+            admin: true,
+            responses: { 200: jsonResponse('Users, without passwords and tokens', objectOf('users', { type: 'array', items: userSchema })) }
+        }),
+        post: sessionOperation({
+            tags: ['Users'],
+            summary: 'Create a user',
+            admin: true,
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    username: { type: 'string', pattern: '^[a-z0-9_]{4,}$', description: 'At least 4 lowercase letters, numbers or underscores' },
+                    password: passwordSchema,
+                    role: { type: 'string', enum: USER_ROLES }
+                },
+                required: ['username', 'password', 'role']
+            }),
+            responses: { 200: jsonResponse('Created user, or `success: false` with the problem', userResultSchema), ...errors(400) }
+        })
+    },
+    '/api/users/{username}/role': {
+        post: userAction('Change the role of a user', {
+            requestBody: jsonBody({ type: 'object', properties: { role: { type: 'string', enum: USER_ROLES } }, required: ['role'] })
+        })
+    },
+    '/api/users/{username}/password': {
+        post: userAction('Reset the password of a user', {
+            requestBody: jsonBody({ type: 'object', properties: { password: passwordSchema }, required: ['password'] })
+        })
+    },
+    '/api/users/{username}/apps': {
+        post: userAction('Limit a user to some apps', {
+            description: 'With rules, the user only sees matching apps and the highest matching access applies, whatever their role.',
+            requestBody: jsonBody({ type: 'object', properties: { appAccess: appAccessSchema }, required: ['appAccess'] })
+        })
+    },
+    '/api/users/{username}/disable': {
+        post: userAction('Disable a user', { description: 'Ends their sessions and stops their API tokens from working.' })
+    },
+    '/api/users/{username}/enable': {
+        post: userAction('Enable a disabled user')
+    },
+    '/api/users/{username}/2fa/reset': {
+        post: userAction('Turn off two-factor authentication of a user', { description: 'For users who lost their authenticator and recovery codes. With `REQUIRE_ADMIN_2FA`, admins must set it up again.' })
+    },
+    '/api/users/{username}/unlock': {
+        post: userAction('Unlock the login of a user', { description: 'Clears their failed login attempts. Works for any username, including unknown ones.' })
+    },
+    '/api/login-lockouts': {
+        get: sessionOperation({
+            tags: ['Users'],
+            summary: 'Accounts and IPs locked after too many failed logins',
+            description: 'Lockouts are kept in memory and cleared by a restart.',
+            admin: true,
+            responses: {
+                200: jsonResponse('Locked accounts and IPs', {
+                    type: 'object',
+                    properties: {
+                        accounts: { type: 'array', items: lockoutSchema('username') },
+                        ips: { type: 'array', items: lockoutSchema('ip') }
+                    }
+                })
+            }
+        })
+    },
+    '/api/login-lockouts/ip/unlock': {
+        post: sessionOperation({
+            tags: ['Users'],
+            summary: 'Unlock the logins of an IP',
+            admin: true,
+            requestBody: jsonBody({ type: 'object', properties: { ip: { type: 'string', minLength: 1 } }, required: ['ip'] }),
+            responses: { 200: jsonResponse('Unlocked', resultSchema), ...errors(400) }
+        })
+    },
+    '/api/users/{username}/delete': {
+        post: userAction('Delete a user', { description: 'The admin user from `.env` can only be disabled.' })
+    },
+    '/api/audit': {
+        get: sessionOperation({
+            tags: ['Audit'],
+            summary: 'Audit log events, newest first',
+            admin: true,
+            parameters: [
+                ...auditFilterParams,
+                queryParam('limit', { type: 'integer', minimum: 1, maximum: AUDIT_MAX_PAGE_SIZE }, 'Events per page'),
+                queryParam('offset', { type: 'integer', minimum: 0 }, 'Newest matching events to skip')
+            ],
+            responses: {
+                200: jsonResponse('Events and the number of matching events', {
+                    type: 'object',
+                    properties: {
+                        events: { type: 'array', items: auditEventSchema },
+                        total: { type: 'integer' },
+                        limit: { type: 'integer' },
+                        offset: { type: 'integer' }
+                    }
+                }),
+                ...errors(400)
+            }
+        })
+    },
+    '/api/audit/export': {
+        get: sessionOperation({
+            tags: ['Audit'],
+            summary: 'Download matching audit events',
+            description: `At most ${AUDIT_EXPORT_MAX_EVENTS} events, newest first.`,
+            admin: true,
+            parameters: [
+                ...auditFilterParams,
+                queryParam('format', { type: 'string', enum: ['csv', 'json'] }, 'Defaults to csv')
+            ],
+            responses: {
+                200: {
+                    description: 'Attachment',
+                    content: {
+                        'text/csv': { schema: { type: 'string' } },
+                        'application/json': { schema: { type: 'array', items: auditEventSchema } }
+                    }
+                },
+                ...errors(400)
+            }
+        })
+    },
+    '/api/apps/{appName}/logs/{logType}': {
+        get: sessionOperation({
+            tags: ['Logs'],
+            summary: 'Page through a log file',
+            description: 'Lines come back as HTML (ANSI colors, collapsible JSON). Filtered pages read at most 16MB and may hold fewer lines.',
+            app: 'view',
+            parameters: [appNameParam, pagedLogTypeParam, ...logPageParams],
+            responses: { 200: jsonResponse('A page of lines', objectOf('logs', logPageSchema({ html: { type: 'string' } }))), ...errors(400, 404) }
+        })
+    },
+    '/api/apps/{appName}/logs/{logType}/search': {
+        get: sessionOperation({
+            tags: ['Logs'],
+            summary: 'Search a log file',
+            description: 'Reading stops when the client disconnects.',
+            app: 'view',
+            parameters: [
+                appNameParam,
+                logTypeParam,
+                queryParam('q', { type: 'string', minLength: 1, maxLength: SEARCH_MAX_QUERY_LENGTH }, 'Text or regular expression', true),
+                queryParam('regex', { type: 'boolean' }, 'Treat `q` as a regular expression'),
+                queryParam('caseSensitive', { type: 'boolean' }, 'Case sensitive match'),
+                queryParam('context', { type: 'integer', minimum: 0, maximum: SEARCH_MAX_CONTEXT }, 'Lines before and after each match'),
+                queryParam('limit', { type: 'integer', minimum: 1, maximum: SEARCH_MAX_RESULTS }, 'Maximum matches')
+            ],
+            responses: { 200: jsonResponse('Matches, newest first', objectOf('search', { type: 'object' })), ...errors(400, 404) }
+        })
+    },
+    '/api/apps/{appName}/logs/{logType}/files': {
+        get: sessionOperation({
+            tags: ['Logs'],
+            summary: 'Current and rotated log files',
+            description: 'Viewers only get the current file.',
+            app: 'view',
+            parameters: [appNameParam, logTypeParam],
+            responses: { 200: jsonResponse('Files', objectOf('files', { type: 'array', items: { type: 'object', properties: { name: { type: 'string' }, size: { type: 'integer' }, modified: { type: 'string', format: 'date-time' }, current: { type: 'boolean' }, compressed: { type: 'boolean' } } } })), ...errors(400, 404) }
+        })
+    },
+    '/api/apps/{appName}/logs/{logType}/download': {
+        get: sessionOperation({
+            tags: ['Logs'],
+            summary: 'Download a log file',
+            description: 'Rotated files are admin only. Every download is audited.',
+            app: 'view',
+            parameters: [
+                appNameParam,
+                logTypeParam,
+                queryParam('file', { type: 'string', minLength: 1 }, 'Rotated file name from the files list, defaults to the current file'),
+                queryParam('start', { type: 'integer', minimum: 0 }, 'Byte offset, uncompressed files only'),
+                queryParam('end', { type: 'integer', minimum: 0 }, 'Byte offset (exclusive), uncompressed files only'),
+                queryParam('from', timeSchema, 'Only lines logged at or after this time'),
+                queryParam('to', timeSchema, 'Only lines logged before this time'),
+                queryParam('gzip', { type: 'boolean' }, 'Compress the download')
+            ],
+            responses: {
+                200: { description: 'File content', content: { 'text/plain': { schema: { type: 'string' } }, 'application/gzip': { schema: { type: 'string', format: 'binary' } } } },
+                ...errors(400, 403, 404)
+            }
+        })
+    },
+    '/api/apps/{appName}/logs/{logType}/stream': {
+        get: sessionOperation({
+            tags: ['Logs'],
+            summary: 'Follow a log file (Server-Sent Events)',
+            description: 'Each event carries `{ line }` as HTML with `<inode>:<byte offset>` as id; a `truncate` event is sent when the file is rotated or cleared, also between a disconnect and the resume.',
+            app: 'view',
+            parameters: [
+                appNameParam,
+                logTypeParam,
+                queryParam('lastEventId', { type: 'string', pattern: '^(\\d+:)?\\d+$' }, 'Resume after this event id, `<inode>:<byte offset>` or a byte offset, same as the `Last-Event-ID` header')
+            ],
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, ...errors(400, 404) }
+        })
+    },
+    '/api/apps/{appName}/logs/clear': {
+        post: sessionOperation({
+            tags: ['Logs'],
+            summary: 'Flush the log files of an app',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Cleared, or `success: false` with the problem', resultSchema) }
+        })
+    },
+    '/api/apps/{appName}/metrics': {
+        get: sessionOperation({
+            tags: ['Metrics'],
+            summary: 'Sampled metrics of an app',
+            app: 'view',
+            parameters: [appNameParam, ...metricsParams],
+            responses: { 200: jsonResponse('Metric points, instances added up', objectOf('metrics', metricsSchema)), ...errors(400, 404) }
+        })
+    },
+    '/api/apps/{appName}/reload': { post: appAction('Reload an app') },
+    '/api/apps/{appName}/restart': { post: appAction('Restart an app') },
+    '/api/apps/{appName}/stop': { post: appAction('Stop an app') },
+    '/api/apps/{appName}/start': { post: appAction('Start a stopped app') },
+    '/api/apps/{appName}/delete': { post: appAction('Delete an app from PM2') },
+    '/api/apps/{appName}/scale': {
+        post: sessionOperation({
+            tags: ['Apps'],
+            summary: 'Change the instance count of a cluster mode app',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: jsonBody({ type: 'object', properties: { instances: { type: 'integer', minimum: 1 } }, required: ['instances'] }),
+            responses: { 200: jsonResponse('Scaled, or `success: false` when already at that count', { type: 'object', properties: { success: { type: 'boolean' }, instances: { type: 'integer' }, message: { type: 'string' } } }), ...errors(400, 404) }
+        })
+    },
+    '/api/apps/{appName}/env': {
+        get: sessionOperation({
+            tags: ['Environment'],
+            summary: 'Read the .env file in the app directory as entries',
+            description: 'Secret values and the raw content are only sent to users who can control the app.',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: {
+                200: jsonResponse('Entries of the file', {
+                    type: 'object',
+                    properties: {
+                        exists: { type: 'boolean' },
+                        canEdit: { type: 'boolean' },
+                        entries: { type: 'array', items: envEntrySchema },
+                        errors: envErrorsSchema,
+                        content: { type: 'string', nullable: true }
+                    }
+                }),
+                ...errors(404)
+            }
+        }),
+        post: sessionOperation({
+            tags: ['Environment'],
+            summary: 'Save the .env file in the app directory',
+            description: 'Send either the entries of the editor or the raw content. Invalid syntax and duplicate keys are rejected before writing. Variables removed from the file keep their value in the process after a restart, until it is deleted from PM2.',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    entries: { type: 'array', items: envEntrySchema },
+                    envContent: { type: 'string' },
+                    comment: envCommentSchema,
+                    restart: envRestartSchema
+                },
+                oneOf: [{ required: ['entries'] }, { required: ['envContent'] }]
+            }),
+            responses: {
+                200: jsonResponse('Saved as a new version, or `success: false` with the problems', { ...resultSchema, properties: { ...resultSchema.properties, errors: envErrorsSchema, version: envVersionSchema } }),
+                ...errors(400)
+            }
+        })
+    },
+    '/api/apps/{appName}/env/process': {
+        get: sessionOperation({
+            tags: ['Environment'],
+            summary: 'Environment of the running process, compared with the .env file',
+            description: 'Secret values are only sent to users who can control the app.',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: {
+                200: jsonResponse('Variables sorted by name, with the .env variables missing from the process', {
+                    type: 'object',
+                    properties: { canEdit: { type: 'boolean' }, variables: { type: 'array', items: processEnvSchema } }
+                }),
+                ...errors(404)
+            }
+        })
+    },
+    '/api/apps/{appName}/env/history': {
+        get: sessionOperation({
+            tags: ['Environment'],
+            summary: 'Saved versions of the .env file, newest first',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Versions without their content', objectOf('versions', { type: 'array', items: envVersionSchema })) }
+        })
+    },
+    '/api/apps/{appName}/env/history/{version}': {
+        get: sessionOperation({
+            tags: ['Environment'],
+            summary: 'One version of the .env file with its content',
+            app: 'control',
+            parameters: [appNameParam, pathParam('version', { type: 'integer', minimum: 1 }, 'Version number')],
+            responses: { 200: jsonResponse('Version', objectOf('version', { ...envVersionSchema, properties: { ...envVersionSchema.properties, content: { type: 'string' } } })), ...errors(404) }
+        })
+    },
+    '/api/apps/{appName}/env/diff': {
+        get: sessionOperation({
+            tags: ['Environment'],
+            summary: 'Line diff between two versions of the .env file',
+            app: 'control',
+            parameters: [
+                appNameParam,
+                queryParam('from', { type: 'integer', minimum: 1 }, 'Old version', true),
+                queryParam('to', { type: 'integer', minimum: 1 }, 'New version, defaults to the latest')
+            ],
+            responses: {
+                200: jsonResponse('Lines of both versions in order', {
+                    type: 'object',
+                    properties: {
+                        from: envVersionSchema,
+                        to: envVersionSchema,
+                        added: { type: 'integer' },
+                        removed: { type: 'integer' },
+                        lines: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    type: { type: 'string', enum: ['same', 'removed', 'added'] },
+                                    text: { type: 'string' },
+                                    oldLine: { type: 'integer', nullable: true },
+                                    newLine: { type: 'integer', nullable: true }
+                                }
+                            }
+                        }
+                    }
+                }),
+                ...errors(404)
+            }
+        })
+    },
+    '/api/apps/{appName}/env/rollback': {
+        post: sessionOperation({
+            tags: ['Environment'],
+            summary: 'Write an old version back to the .env file',
+            description: 'Recorded as a new version. Variables removed by the rollback keep their value in the process until it is deleted from PM2.',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: envRollbackBody,
+            responses: { 200: jsonResponse('Rolled back, or `success: false` with the problem', { ...resultSchema, properties: { ...resultSchema.properties, version: envVersionSchema } }), ...errors(400) }
+        })
+    },
+    '/api/apps/{appName}/git/check-updates': {
+        get: sessionOperation({
+            tags: ['Git'],
+            summary: 'Fetch the remote and compare with the checked out commit',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Update status, or `success: false` with the problem', { type: 'object', properties: { success: { type: 'boolean' }, updateStatus: updateStatusSchema, message: { type: 'string' } } }) }
+        })
+    },
+    '/api/apps/{appName}/git/pull': {
+        post: sessionOperation({
+            tags: ['Git'],
+            summary: 'Pull the current branch',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Pull result with the git output', { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' }, output: { type: 'string' }, newCommit: { type: 'string' }, error: { type: 'string' } } }) }
+        })
+    },
+    '/api/apps/{appName}/git/refs': {
+        get: sessionOperation({
+            tags: ['Git'],
+            summary: 'Fetch the remote and list its branches and the tags',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Branches and tags, or `success: false` with the problem', { ...gitRefsSchema, properties: { success: { type: 'boolean' }, ...gitRefsSchema.properties, message: { type: 'string' } } }) }
+        })
+    },
+    '/api/apps/{appName}/git/log': {
+        get: sessionOperation({
+            tags: ['Git'],
+            summary: 'Last commits of a branch, tag or commit',
+            app: 'control',
+            parameters: [appNameParam, ...gitLogParams],
+            responses: { 200: jsonResponse('Commits, newest first, or `success: false` with the problem', { type: 'object', properties: { success: { type: 'boolean' }, commits: { type: 'array', items: gitCommitSchema }, message: { type: 'string' } } }), ...errors(400) }
+        })
+    },
+    '/api/apps/{appName}/git/incoming': {
+        get: sessionOperation({
+            tags: ['Git'],
+            summary: 'Commits a pull of the current branch would bring in',
+            app: 'control',
+            parameters: [appNameParam, gitLogParams[1]],
+            responses: { 200: jsonResponse('Incoming commits, newest first, or `success: false` with the problem', { ...gitIncomingSchema, properties: { success: { type: 'boolean' }, ...gitIncomingSchema.properties } }), ...errors(400) }
+        })
+    },
+    '/api/apps/{appName}/git/checkout': {
+        post: sessionOperation({
+            tags: ['Git'],
+            summary: 'Switch the working tree to a branch, tag or commit',
+            description: 'Refused when tracked files have uncommitted changes. Tags and commits are checked out detached, pulling then needs a branch. The app is not restarted.',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: gitCheckoutBody,
+            responses: { 200: jsonResponse('Checkout result with the git output, or `success: false` with the problem', { ...gitCheckoutResultSchema, properties: { ...gitCheckoutResultSchema.properties, error: { type: 'string' } } }), ...errors(400) }
+        })
+    },
+    '/api/apps/{appName}/deploys': {
+        get: sessionOperation({
+            tags: ['Deploy'],
+            summary: 'Deploy settings and history of an app',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Settings and deploys, newest first, without their output', { type: 'object', properties: { success: { type: 'boolean' }, settings: deploySettingsSchema, deploys: { type: 'array', items: deploySchema }, message: { type: 'string' } } }) }
+        })
+    },
+    '/api/apps/{appName}/deploy/settings': {
+        post: sessionOperation({
+            tags: ['Deploy'],
+            summary: 'Change the deploy settings of an app',
+            description: 'Fields left out keep their value.',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: deploySettingsBody,
+            responses: { 200: jsonResponse('Saved settings, or `success: false` with the problem', { type: 'object', properties: { success: { type: 'boolean' }, settings: deploySettingsSchema, message: { type: 'string' } } }), ...errors(400) }
+        })
+    },
+    '/api/apps/{appName}/deploy': {
+        post: sessionOperation({
+            tags: ['Deploy'],
+            summary: 'Start a deploy: pull, install, build, reload and health check',
+            description: 'Runs in the background, one at a time per app. Follow it with the stream of the deploy. A failed step after the pull rolls back to the previous commit when `rollback` is on.',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Started, or `success: false` with the problem, e.g. a deploy is already running', { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' }, deploy: deploySchema } }) }
+        })
+    },
+    '/api/apps/{appName}/deploys/{id}': {
+        get: sessionOperation({
+            tags: ['Deploy'],
+            summary: 'One deploy with the output of its steps',
+            app: 'view',
+            parameters: [appNameParam, deployIdParam],
+            responses: { 200: jsonResponse('Deploy', objectOf('deploy', deploySchema)), ...errors(404) }
+        })
+    },
+    '/api/apps/{appName}/deploys/{id}/stream': {
+        get: sessionOperation({
+            tags: ['Deploy'],
+            summary: 'Follow a deploy (Server-Sent Events)',
+            description: 'Replays the events of the deploy so far, then sends them as they happen: `step` `{ index, step }` when a step starts or ends, `output` `{ index, text }`, and `done` `{ deploy }` last. Event ids are their index.',
+            app: 'view',
+            parameters: [
+                appNameParam,
+                deployIdParam,
+                queryParam('lastEventId', { type: 'integer', minimum: 0 }, 'Resume after this event, same as the `Last-Event-ID` header')
+            ],
+            responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, ...errors(404) }
+        })
+    },
+
+    '/api/v1/me': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Owner and scopes of the token',
+            responses: { 200: jsonResponse('Token owner', { type: 'object', properties: { user: { type: 'object', properties: { username: { type: 'string' }, role: { type: 'string' } } }, token: apiTokenSchema } }) }
+        })
+    },
+    '/api/v1/apps': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'All PM2 processes',
+            scope: 'read',
+            responses: { 200: jsonResponse('One entry per process instance', objectOf('apps', { type: 'array', items: appSchema })) }
+        })
+    },
+    '/api/v1/apps/{appName}': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'App details',
+            scope: 'read',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('App', objectOf('app', appDetailsSchema)), ...errors(404) }
+        })
+    },
+    '/api/v1/apps/{appName}/start': { post: tokenAppAction('Start an app') },
+    '/api/v1/apps/{appName}/stop': { post: tokenAppAction('Stop an app') },
+    '/api/v1/apps/{appName}/restart': { post: tokenAppAction('Restart an app') },
+    '/api/v1/apps/{appName}/reload': { post: tokenAppAction('Reload an app') },
+    '/api/v1/apps/{appName}/scale': {
+        post: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Change the instance count of a cluster mode app',
+            scope: 'control',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: jsonBody({ type: 'object', properties: { instances: { type: 'integer', minimum: 1 } }, required: ['instances'] }),
+            responses: { 200: jsonResponse('Scaled', { type: 'object', properties: { success: { type: 'boolean' }, instances: { type: 'integer' } } }), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/logs/{logType}': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Page through a log file',
+            description: 'Same paging and filters as the web UI, with the raw line text.',
+            scope: 'read',
+            app: 'view',
+            parameters: [appNameParam, pagedLogTypeParam, ...logPageParams],
+            responses: { 200: jsonResponse('A page of lines', objectOf('logs', logPageSchema({ line: { type: 'string' } }))), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/metrics': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Sampled metrics of an app',
+            scope: 'read',
+            app: 'view',
+            parameters: [appNameParam, ...metricsParams],
+            responses: { 200: jsonResponse('Metric points, instances added up', objectOf('metrics', metricsSchema)), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/env': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Read the .env file in the app directory',
+            scope: 'env',
+            app: 'view',
+            parameters: [appNameParam],
+            description: 'Secret values are masked unless the token owner can control the app.',
+            responses: {
+                200: jsonResponse('File content, null when there is no .env file or it cannot be masked', {
+                    type: 'object',
+                    properties: {
+                        content: { type: 'string', nullable: true },
+                        entries: { type: 'array', items: envEntrySchema },
+                        errors: envErrorsSchema
+                    }
+                }),
+                ...errors(404)
+            }
+        }),
+        put: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Replace the .env file in the app directory',
+            description: 'Invalid syntax and duplicate keys are rejected with the problems in `error.details.errors`. Restarting also requires the `control` scope.',
+            scope: 'env',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: jsonBody({ type: 'object', properties: { content: { type: 'string' }, comment: envCommentSchema, restart: envRestartSchema }, required: ['content'] }),
+            responses: { 200: jsonResponse('Saved as a new version', { ...resultSchema, properties: { ...resultSchema.properties, version: envVersionSchema } }), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/env/process': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Environment of the running process, compared with the .env file',
+            description: 'Secret values are masked unless the token owner can control the app.',
+            scope: 'env',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Variables sorted by name', objectOf('variables', { type: 'array', items: processEnvSchema })), ...errors(404) }
+        })
+    },
+    '/api/v1/apps/{appName}/env/history': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Saved versions of the .env file, newest first',
+            scope: 'env',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Versions without their content', objectOf('versions', { type: 'array', items: envVersionSchema })), ...errors(404) }
+        })
+    },
+    '/api/v1/apps/{appName}/env/rollback': {
+        post: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Write an old version back to the .env file',
+            description: 'Restarting also requires the `control` scope.',
+            scope: 'env',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: envRollbackBody,
+            responses: { 200: jsonResponse('Rolled back, recorded as a new version', { ...resultSchema, properties: { ...resultSchema.properties, version: envVersionSchema } }), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/git': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Branch, commit and update status',
+            scope: 'git',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Git status', { type: 'object', properties: { branch: { type: 'string', nullable: true }, commit: { type: 'string', nullable: true }, updateStatus: updateStatusSchema } }), ...errors(404) }
+        })
+    },
+    '/api/v1/apps/{appName}/git/pull': {
+        post: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Pull the current branch',
+            description: 'A failed pull answers 409 with the git output in `error.details`.',
+            scope: 'git',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Pulled', { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' }, output: { type: 'string' }, commit: { type: 'string' } } }), ...errors(404, 409) }
+        })
+    },
+    '/api/v1/apps/{appName}/git/refs': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Fetch the remote and list its branches and the tags',
+            scope: 'git',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Branches and tags', gitRefsSchema), ...errors(404) }
+        })
+    },
+    '/api/v1/apps/{appName}/git/log': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Last commits of a branch, tag or commit',
+            scope: 'git',
+            app: 'control',
+            parameters: [appNameParam, ...gitLogParams],
+            responses: { 200: jsonResponse('Commits, newest first', objectOf('commits', { type: 'array', items: gitCommitSchema })), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/git/incoming': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Commits a pull of the current branch would bring in',
+            scope: 'git',
+            app: 'control',
+            parameters: [appNameParam, gitLogParams[1]],
+            responses: { 200: jsonResponse('Incoming commits, newest first', gitIncomingSchema), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/git/checkout': {
+        post: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Switch the working tree to a branch, tag or commit',
+            description: 'Refused with 409 when tracked files have uncommitted changes or git fails, with the git output in `error.details`. The app is not restarted.',
+            scope: 'git',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: gitCheckoutBody,
+            responses: { 200: jsonResponse('Switched', gitCheckoutResultSchema), ...errors(400, 404, 409) }
+        })
+    },
+    '/api/v1/apps/{appName}/deploys': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Deploy settings and history',
+            scope: 'deploy',
+            app: 'view',
+            parameters: [appNameParam],
+            responses: { 200: jsonResponse('Settings and deploys, newest first, without their output', { type: 'object', properties: { settings: deploySettingsSchema, deploys: { type: 'array', items: deploySchema } } }), ...errors(404) }
+        })
+    },
+    '/api/v1/apps/{appName}/deploys/{id}': {
+        get: tokenOperation({
+            tags: ['API v1'],
+            summary: 'One deploy with the output of its steps',
+            description: 'Poll it after starting a deploy until `status` is no longer `running`.',
+            scope: 'deploy',
+            app: 'view',
+            parameters: [appNameParam, deployIdParam],
+            responses: { 200: jsonResponse('Deploy', objectOf('deploy', deploySchema)), ...errors(404) }
+        })
+    },
+    '/api/v1/apps/{appName}/deploy/settings': {
+        put: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Change the deploy settings',
+            description: 'Fields left out keep their value.',
+            scope: 'deploy',
+            app: 'control',
+            parameters: [appNameParam],
+            requestBody: deploySettingsBody,
+            responses: { 200: jsonResponse('Saved settings', { type: 'object', properties: { success: { type: 'boolean' }, settings: deploySettingsSchema } }), ...errors(400, 404) }
+        })
+    },
+    '/api/v1/apps/{appName}/deploy': {
+        post: tokenOperation({
+            tags: ['API v1'],
+            summary: 'Start a deploy: pull, install, build, reload and health check',
+            description: 'Answers 202 once started, the deploy runs in the background. 409 when a deploy of the app is already running.',
+            scope: 'deploy',
+            app: 'control',
+            parameters: [appNameParam],
+            responses: { 202: jsonResponse('Started', { type: 'object', properties: { success: { type: 'boolean' }, deploy: deploySchema } }), ...errors(404, 409) }
+        })
+    }
+};
+
+const errorResponse = (description) => jsonResponse(description, errorSchema);
+
+const openApiSpec = {
+    openapi: '3.0.3',
+    info: {
+        title: 'PM2 WebUI API',
+        version,
+        description: 'Routes under `/api/v1` take a personal API token (`Authorization: Bearer <token>`). '
+            + 'The other `/api` routes back the web UI: they use the login session, and requests other than GET also need the `X-CSRF-Token` header. '
+            + 'Invalid parameters or bodies are rejected with 400 before the route runs.'
+    },
+    tags: [
+        { name: 'API v1', description: 'Token authenticated API for scripts' },
+        { name: 'Apps' },
+        { name: 'Logs' },
+        { name: 'Metrics' },
+        { name: 'Environment' },
+        { name: 'Git' },
+        { name: 'Deploy', description: 'Pull, install, build, reload and health check, with rollback' },
+        { name: 'Launch' },
+        { name: 'API Tokens' },
+        { name: 'Users' },
+        { name: 'Two-Factor', description: 'TOTP second login step of the logged in user' },
+        { name: 'Audit' },
+        { name: 'PM2' }
+    ],
+    paths,
+    components: {
+        securitySchemes: {
+            session: { type: 'apiKey', in: 'cookie', name: 'koa.sess', description: 'Login session cookie, plus the `X-CSRF-Token` header for requests other than GET' },
+            bearer: { type: 'http', scheme: 'bearer', description: 'Personal API token from the API Tokens page' }
+        },
+        schemas: {
+            Error: errorSchema
+        },
+        responses: {
+            BadRequest: errorResponse('Invalid parameters or body, `details.errors` lists them when the request did not match the schema'),
+            Unauthorized: errorResponse('Missing or invalid API token'),
+            Forbidden: errorResponse('Missing scope or role'),
+            NotFound: errorResponse('App or resource not found'),
+            Conflict: errorResponse('The operation could not be completed')
+        }
+    }
+};
+
+export { openApiSpec };
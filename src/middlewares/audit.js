@@ -0,0 +1,41 @@
+import { recordAuditEvent } from '../services/audit.service.js';
+
+/**
+ * Middleware recording a control action in the audit log, after isAuthenticated or isTokenAuthenticated
+ * Put it before the permission checks so denied attempts are recorded too.
+ * The action failed when it threw, answered an error status or `{ success: false }`.
+ */
+const auditAction = (action, { target = (ctx) => ctx.params.appName ?? null, details = () => ({}) } = {}) => {
+    return async (ctx, next) => {
+        let error = null;
+        try {
+            await next();
+            if (ctx.status >= 400 || ctx.body?.success === false) {
+                error = ctx.body?.message || ctx.body?.error?.message || `HTTP ${ctx.status}`;
+            }
+        } catch (err) {
+            // Only admins read the log, so server errors keep their real message
+            error = err.message;
+            throw err;
+        } finally {
+            const { user, apiToken } = ctx.state;
+            try {
+                await recordAuditEvent({
+                    actor: user?.username ?? null,
+                    source: apiToken ? 'api' : 'web',
+                    action,
+                    target: target(ctx),
+                    outcome: error ? 'failure' : 'success',
+                    error,
+                    details: { ...details(ctx), ...(apiToken ? { tokenId: apiToken.id } : {}) },
+                    ip: ctx.ip
+                });
+            } catch (err) {
+                // The action already ran, a failed audit write must not change its response
+                console.error('Failed to record audit event:', err);
+            }
+        }
+    };
+};
+
+export { auditAction };
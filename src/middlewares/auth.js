@@ -1,3 +1,10 @@
+import crypto from 'crypto';
+import config from '../config/index.js';
+import { getUserByUsername, validateApiToken, isTwoFactorRequired } from '../services/user.service.js';
+
+// Pages an admin can still open while REQUIRE_ADMIN_2FA makes them set up two-factor first
+const isTwoFactorSetupPath = (path) => path === '/account/2fa' || path.startsWith('/api/account/2fa/')
+
 const checkAuthentication = async (ctx, next) => {
     if(ctx.session.isAuthenticated){
         return ctx.redirect('/apps')
@@ -9,7 +16,63 @@ const isAuthenticated = async (ctx, next) => {
     if(!ctx.session.isAuthenticated){
         return ctx.redirect('/login')
     }
+    // Reload the user so role changes and disabled or deleted accounts apply to open sessions
+    const user = await getUserByUsername(ctx.session.user.username)
+    if(!user || user.disabled){
+        ctx.session = null
+        return ctx.redirect('/login')
+    }
+    ctx.session.user = { username: user.username, role: user.role }
+    // App access rules stay out of the session cookie, they are only needed for this request
+    ctx.state.user = { ...ctx.session.user, appAccess: user.appAccess ?? null }
+    if(isTwoFactorRequired(user) && !user.totp && !isTwoFactorSetupPath(ctx.path)){
+        if(ctx.path.startsWith('/api/')){
+            ctx.throw(403, 'Two-factor authentication is required for admins, set it up at /account/2fa')
+        }
+        return ctx.redirect('/account/2fa')
+    }
+    await next()
+}
+
+// Hash both sides so the comparison takes the same time whatever the token length
+const tokensMatch = (provided, expected) => {
+    const hash = (value) => crypto.createHash('sha256').update(value).digest()
+    return crypto.timingSafeEqual(hash(provided), hash(expected))
+}
+
+/**
+ * Bearer token auth for the Prometheus scrape endpoint, independent of sessions
+ * The endpoint does not exist unless PROMETHEUS_METRICS_TOKEN is set
+ */
+const requireMetricsToken = async (ctx, next) => {
+    if(!config.PROMETHEUS_METRICS_TOKEN){
+        ctx.throw(404)
+    }
+    const [scheme, token] = (ctx.get('Authorization') || '').split(' ')
+    if(scheme !== 'Bearer' || !token || !tokensMatch(token, config.PROMETHEUS_METRICS_TOKEN)){
+        // Answered here, the error handler would redirect non-API paths to the login page
+        ctx.status = 401
+        ctx.set('WWW-Authenticate', 'Bearer realm="metrics"')
+        ctx.body = 'Unauthorized\n'
+        return
+    }
+    await next()
+}
+
+/**
+ * Bearer API token auth for /api/v1, sessions are not used there
+ * Sets ctx.state.user and ctx.state.apiToken for requireScope
+ */
+const isTokenAuthenticated = async (ctx, next) => {
+    const [scheme, token] = (ctx.get('Authorization') || '').split(' ')
+    const auth = scheme === 'Bearer' ? await validateApiToken(token) : null
+    if(!auth){
+        ctx.set('WWW-Authenticate', 'Bearer realm="api"')
+        ctx.throw(401, 'A valid API token is required')
+    }
+    ctx.state.user = auth.user
+    ctx.state.apiToken = auth.token
     await next()
 }
 
-export { isAuthenticated, checkAuthentication };
\ No newline at end of file
+export { isAuthenticated, checkAuthentication, requireMetricsToken, isTokenAuthenticated };
\ No newline at end of file
@@ -5,6 +5,11 @@
 const errorHandler = async (ctx, next) => {
     try {
         await next();
+
+        // Unmatched API routes get the same JSON body as thrown errors
+        if (ctx.status === 404 && !ctx.body && ctx.path.startsWith('/api/')) {
+            ctx.throw(404, 'Not found');
+        }
     } catch (err) {
         // Log error details
         console.error('Error occurred:', {
@@ -24,10 +29,12 @@ const errorHandler = async (ctx, next) => {
 
         if (isApiRequest) {
             // API error response
+            // `details` carries extra context for client errors, e.g. the output of a failed git pull
             ctx.body = {
                 error: {
                     message: ctx.status === 500 ? 'Internal server error' : err.message,
-                    status: ctx.status
+                    status: ctx.status,
+                    ...(err.details && ctx.status < 500 ? { details: err.details } : {})
                 }
             };
         } else {
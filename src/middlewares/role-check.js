@@ -1,3 +1,5 @@
+import { canAccessApp } from '../utils/app-access.util.js';
+
 /**
  * Middleware to check if user has required role
  */
@@ -23,4 +25,43 @@ const requireRole = (requiredRole) => {
     };
 };
 
-export { requireRole };
+/**
+ * Middleware to check that the API token has a scope
+ * What the owner may do with it on each app is left to requireAppAccess
+ */
+const requireScope = (scope) => {
+    return async (ctx, next) => {
+        const { apiToken } = ctx.state;
+
+        if (!apiToken || !apiToken.scopes.includes(scope)) {
+            ctx.throw(403, `API token is missing the ${scope} scope`);
+        }
+
+        await next();
+    };
+};
+
+/**
+ * Middleware to check the user's access to the `:appName` app, after isAuthenticated or isTokenAuthenticated
+ * - view: see the app, its logs and metrics
+ * - control: also act on it (start, stop, restart, env, git...)
+ * Apps the user cannot see answer 404, as if they did not exist.
+ */
+const requireAppAccess = (level) => {
+    return async (ctx, next) => {
+        const { user } = ctx.state;
+        const { appName } = ctx.params;
+
+        if (!canAccessApp(user, appName, 'view')) {
+            ctx.throw(404, 'App not found');
+        }
+
+        if (!canAccessApp(user, appName, level)) {
+            ctx.throw(403, 'Insufficient permissions for this app.');
+        }
+
+        await next();
+    };
+};
+
+export { requireRole, requireScope, requireAppAccess };
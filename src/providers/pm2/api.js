@@ -1,133 +1,172 @@
-import pm2 from 'pm2';
-import { bytesToSize, timeSince } from './ux.helper.js';
-
-function listApps(){
-    return new Promise((resolve, reject) => {
-        pm2.connect((err) => {
-            if (err) {
-                reject(err)
-            }
-            pm2.list((err, apps) => {
-                pm2.disconnect()
-                if (err) {
-                    reject(err)
-                }
-                apps = apps.map((app) => {
-                    return {
-                        name: app.name,
-                        status: app.pm2_env.status,
-                        cpu: app.monit.cpu,
-                        memory: bytesToSize(app.monit.memory),
-                        uptime: timeSince(app.pm2_env.pm_uptime),
-                        pm_id: app.pm_id
-                    }
-                })
-                resolve(apps)
-            })
-        })
+import { call, callDaemon } from './client.js';
+
+/**
+ * Raw process fields shared by listApps and describeApp
+ * memory is in bytes, pm_uptime / created_at are ms timestamps; formatting is left to the views and the bot
+ */
+function toAppInfo(proc){
+    const env = proc.pm2_env
+    return {
+        name: proc.name,
+        pm_id: proc.pm_id,
+        pid: proc.pid || null,
+        status: env.status,
+        cpu: proc.monit.cpu,
+        memory: proc.monit.memory,
+        pm_uptime: env.pm_uptime || null,
+        created_at: env.created_at || null,
+        restart_time: env.restart_time || 0,
+        unstable_restarts: env.unstable_restarts || 0,
+        exec_mode: env.exec_mode,
+        node_version: env.node_version || null,
+        pm_exec_path: env.pm_exec_path,
+        args: [].concat(env.args || []),
+        watch: Boolean(env.watch)
+    }
+}
+
+async function listApps(){
+    const apps = await call('list')
+    const instances = {}
+    apps.forEach((app) => {
+        instances[app.name] = (instances[app.name] || 0) + 1
+    })
+    return apps.map((app) => {
+        return {
+            ...toAppInfo(app),
+            instances: instances[app.name]
+        }
     })
 }
 
-function describeApp(appName){
-    return new Promise((resolve, reject) => {
-        pm2.connect((err) => {
-            if (err) {
-                reject(err)
-            }
-            pm2.describe(appName, (err, apps) => {
-                pm2.disconnect()
-                if (err) {
-                    reject(err)
-                }
-                if(Array.isArray(apps) && apps.length > 0){
-                    const app = {
-                        name: apps[0].name,
-                        status: apps[0].pm2_env.status,
-                        cpu: apps[0].monit.cpu,
-                        memory: bytesToSize(apps[0].monit.memory),
-                        uptime: timeSince(apps[0].pm2_env.pm_uptime),
-                        pm_id: apps[0].pm_id, 
-                        pm_out_log_path: apps[0].pm2_env.pm_out_log_path,
-                        pm_err_log_path: apps[0].pm2_env.pm_err_log_path,
-                        pm2_env_cwd: apps[0].pm2_env.pm_cwd
-                    }
-                    resolve(app)
-                }
-                else{
-                    resolve(null)
-                }
-            })
-        })
+async function describeApp(appName){
+    const apps = await call('describe', appName)
+    if(Array.isArray(apps) && apps.length > 0){
+        return {
+            ...toAppInfo(apps[0]),
+            instances: apps.length,
+            pm_out_log_path: apps[0].pm2_env.pm_out_log_path,
+            pm_err_log_path: apps[0].pm2_env.pm_err_log_path,
+            pm2_env_cwd: apps[0].pm2_env.pm_cwd
+        }
+    }
+    return null
+}
+
+// Custom metrics reported by @pm2/io, looked up by type since labels can be renamed
+const AXM_UNITS = { B: 1, KiB: 1024, MiB: 1024 * 1024, GiB: 1024 * 1024 * 1024 }
+
+function getAxmMetric(axmMonitor, type){
+    const metric = Object.values(axmMonitor || {}).find(metric => metric && metric.type === type)
+    if(!metric){
+        return null
+    }
+    const value = parseFloat(metric.value)
+    if(isNaN(value)){
+        return null
+    }
+    return metric.unit in AXM_UNITS ? Math.round(value * AXM_UNITS[metric.unit]) : value
+}
+
+/**
+ * Raw process state and resource usage of one PM2 process (one entry per instance)
+ * Memory and heap are in bytes, event loop latency in ms, startedAt a ms timestamp;
+ * axm values are null when the process does not report them. `axmMetrics` holds every
+ * numeric custom metric reported through @pm2/io.
+ */
+function toProcessStats(proc){
+    const env = proc.pm2_env
+    const axmMonitor = env.axm_monitor
+    return {
+        name: proc.name,
+        pm_id: proc.pm_id,
+        status: env.status,
+        cpu: proc.monit.cpu,
+        memory: proc.monit.memory,
+        restarts: env.restart_time,
+        unstableRestarts: env.unstable_restarts,
+        startedAt: env.pm_uptime,
+        loopDelay: getAxmMetric(axmMonitor, 'internal/libuv/latency/p50'),
+        loopDelayP95: getAxmMetric(axmMonitor, 'internal/libuv/latency/p95'),
+        heapUsed: getAxmMetric(axmMonitor, 'internal/v8/heap/used'),
+        heapTotal: getAxmMetric(axmMonitor, 'internal/v8/heap/total'),
+        axmMetrics: Object.entries(axmMonitor || {})
+            .map(([label, metric]) => ({ label, value: parseFloat(metric && metric.value), unit: (metric && metric.unit) || '' }))
+            .filter(metric => Number.isFinite(metric.value))
+    }
+}
+
+// Stats of every process, e.g. for the Prometheus exporter
+async function listProcessStats(){
+    const processes = await call('list')
+    return processes.map(toProcessStats)
+}
+
+// The fields of the stats kept by the metrics store
+async function listProcessMetrics(){
+    const processes = await listProcessStats()
+    return processes.map(({ name, pm_id, status, cpu, memory, restarts, loopDelay, loopDelayP95, heapUsed, heapTotal }) => {
+        return { name, pm_id, status, cpu, memory, restarts, loopDelay, loopDelayP95, heapUsed, heapTotal }
     })
 }
 
+function startApp(process){
+    // PM2 restart on a stopped process will start it
+    return call('restart', process)
+}
+
 function reloadApp(process){
-    return new Promise((resolve, reject) => {
-        pm2.connect((err) => {
-            if (err) {
-                reject(err)
-            }
-            pm2.reload(process, (err, proc) => {
-                pm2.disconnect()
-                if (err) {
-                    reject(err)
-                }
-                resolve(proc)
-            })
-        })
-    })
+    return call('reload', process)
 }
 
 function stopApp(process){
-    return new Promise((resolve, reject) => {
-        pm2.connect((err) => {
-            if (err) {
-                reject(err)
-            }
-            pm2.stop(process, (err, proc) => {
-                pm2.disconnect()
-                if (err) {
-                    reject(err)
-                }
-                resolve(proc)
-            })
-        })
-    })
+    return call('stop', process)
 }
 
 function restartApp(process){
-    return new Promise((resolve, reject) => {
-        pm2.connect((err) => {
-            if (err) {
-                reject(err)
-            }
-            pm2.restart(process, (err, proc) => {
-                pm2.disconnect()
-                if (err) {
-                    reject(err)
-                }
-                resolve(proc)
-            })
-        })
-    })
+    return call('restart', process)
 }
 
-function flushLogs(process){
-    return new Promise((resolve, reject) => {
-        pm2.connect((err) => {
-            if (err) {
-                reject(err)
-            }
-            pm2.flush(process, (err, proc) => {
-                pm2.disconnect()
-                if (err) {
-                    reject(err)
-                }
-                resolve(proc)
-            })
-        })
-    })
+// Environment PM2 passes to the first instance: the shell it was started from, ecosystem env, --update-env...
+async function getAppEnv(process){
+    const [instance] = await call('describe', process)
+    if (!instance) {
+        return null
+    }
+    return Object.fromEntries(
+        Object.entries(instance.pm2_env.env || {})
+            .filter(([, value]) => value !== null && typeof value !== 'object')
+            .map(([key, value]) => [key, String(value)])
+    )
+}
+
+/**
+ * Restart every instance with variables merged into their environment, like `pm2 restart --update-env`
+ * but without the environment of the WebUI itself. Variables missing from `env` keep their current value.
+ */
+async function restartAppWithEnv(process, env){
+    const instances = await call('describe', process)
+    for (const instance of instances) {
+        await callDaemon('restartProcessId', { id: instance.pm_id, env })
+        await callDaemon('notifyByProcessId', { id: instance.pm_id, action_name: 'restart', manually: true })
+    }
+    return instances.length
 }
 
-export { listApps, describeApp, reloadApp, stopApp, restartApp, flushLogs };
+function deleteApp(process){
+    return call('delete', process)
+}
+
+function scaleApp(process, instances){
+    return call('scale', process, instances)
+}
+
+function startEcosystem(apps){
+    return call('start', { apps })
+}
+
+function flushLogs(process){
+    return call('flush', process)
+}
 
+export { listApps, describeApp, getAppEnv, listProcessMetrics, listProcessStats, startApp, reloadApp, stopApp, restartApp, restartAppWithEnv, deleteApp, scaleApp, startEcosystem, flushLogs };
@@ -0,0 +1,274 @@
+import pm2 from 'pm2';
+import config from '../../config/index.js';
+
+const {
+    PM2_HEALTH_CHECK_INTERVAL,
+    PM2_RECONNECT_BASE_DELAY,
+    PM2_RECONNECT_MAX_DELAY,
+    PM2_QUEUE_TIMEOUT
+} = config.DEFAULTS;
+
+/**
+ * Shared connection to the PM2 daemon.
+ * A single RPC connection is opened lazily on the first call and kept for the
+ * lifetime of the process. Calls made while (re)connecting are queued, a
+ * periodic ping detects a lost daemon and reconnects with exponential backoff.
+ */
+const state = {
+    status: 'disconnected', // disconnected | connecting | connected | reconnecting
+    connectedAt: null,
+    lastError: null,
+    reconnectAttempts: 0
+};
+
+let connecting = null;
+let reconnectTimer = null;
+let healthTimer = null;
+let bus = null;
+let busSocket = null;
+let launchingBus = false;
+const pendingRequests = [];
+const busListeners = [];
+
+function connect() {
+    if (state.status === 'connected') {
+        return Promise.resolve();
+    }
+    if (connecting) {
+        return connecting;
+    }
+
+    state.status = state.reconnectAttempts > 0 ? 'reconnecting' : 'connecting';
+    connecting = new Promise((resolve, reject) => {
+        pm2.connect((err) => {
+            connecting = null;
+            if (err) {
+                handleConnectionLost(err);
+                return reject(err);
+            }
+            handleConnected();
+            resolve();
+        });
+    });
+    return connecting;
+}
+
+function handleConnected() {
+    state.status = 'connected';
+    state.connectedAt = Date.now();
+    state.lastError = null;
+    state.reconnectAttempts = 0;
+    console.log('[PM2] Connected to daemon');
+
+    startHealthCheck();
+    launchBus();
+
+    while (pendingRequests.length > 0) {
+        const request = pendingRequests.shift();
+        clearTimeout(request.timer);
+        request.resolve();
+    }
+}
+
+function handleConnectionLost(err) {
+    if (state.status === 'connected') {
+        console.error('[PM2] Lost connection to daemon:', err.message);
+        pm2.disconnect();
+    }
+
+    state.status = 'reconnecting';
+    state.connectedAt = null;
+    state.lastError = err.message;
+    closeBus();
+    stopHealthCheck();
+    scheduleReconnect();
+}
+
+function scheduleReconnect() {
+    if (reconnectTimer) {
+        return;
+    }
+
+    const delay = Math.min(PM2_RECONNECT_BASE_DELAY * 2 ** state.reconnectAttempts, PM2_RECONNECT_MAX_DELAY);
+    state.reconnectAttempts++;
+
+    reconnectTimer = setTimeout(() => {
+        reconnectTimer = null;
+        connect().catch((err) => {
+            console.error(`[PM2] Reconnect attempt ${state.reconnectAttempts} failed:`, err.message);
+        });
+    }, delay);
+    reconnectTimer.unref();
+}
+
+function startHealthCheck() {
+    stopHealthCheck();
+    healthTimer = setInterval(() => {
+        let answered = false;
+        const timeout = setTimeout(() => {
+            // A reconnect may already be running, it must not be restarted by a late timeout
+            if (!answered && state.status === 'connected') {
+                handleConnectionLost(new Error('PM2 daemon did not answer ping'));
+            }
+        }, PM2_HEALTH_CHECK_INTERVAL);
+
+        pm2.Client.executeRemote('ping', {}, (err) => {
+            answered = true;
+            clearTimeout(timeout);
+            if (err && state.status === 'connected') {
+                handleConnectionLost(err instanceof Error ? err : new Error(String(err)));
+            }
+        });
+    }, PM2_HEALTH_CHECK_INTERVAL);
+    healthTimer.unref();
+}
+
+function stopHealthCheck() {
+    if (healthTimer) {
+        clearInterval(healthTimer);
+        healthTimer = null;
+    }
+}
+
+function launchBus() {
+    if (busListeners.length === 0 || bus || launchingBus) {
+        return;
+    }
+
+    launchingBus = true;
+    pm2.launchBus((err, pm2Bus, pm2BusSocket) => {
+        launchingBus = false;
+        if (err) {
+            console.error('[PM2] Failed to launch bus:', err.message);
+            return;
+        }
+        if (state.status !== 'connected') {
+            // The connection dropped while the bus was starting, the next connect launches a new one
+            pm2BusSocket.close();
+            return;
+        }
+        closeBus();
+        bus = pm2Bus;
+        busSocket = pm2BusSocket;
+        busListeners.forEach(({ event, listener }) => bus.on(event, listener));
+    });
+}
+
+/**
+ * Close the current bus socket so a reconnect does not leave a subscriber behind
+ */
+function closeBus() {
+    const socket = busSocket;
+    bus = null;
+    busSocket = null;
+    if (socket && !socket.closing) {
+        try {
+            socket.close();
+        } catch (err) {
+            console.error('[PM2] Failed to close bus:', err.message);
+        }
+    }
+}
+
+/**
+ * Resolves once the daemon connection is up, queuing the caller meanwhile
+ */
+function waitForConnection() {
+    if (state.status === 'connected') {
+        return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = { resolve, reject };
+        request.timer = setTimeout(() => {
+            const index = pendingRequests.indexOf(request);
+            if (index !== -1) {
+                pendingRequests.splice(index, 1);
+            }
+            reject(new Error(`PM2 daemon unavailable${state.lastError ? `: ${state.lastError}` : ''}`));
+        }, PM2_QUEUE_TIMEOUT);
+        pendingRequests.push(request);
+
+        if (state.status === 'disconnected') {
+            connect().catch(() => {});
+        }
+    });
+}
+
+/**
+ * Call a pm2 API method over the shared connection
+ * e.g. call('restart', 'my-app') resolves with the callback result
+ */
+async function call(method, ...args) {
+    await waitForConnection();
+
+    return new Promise((resolve, reject) => {
+        pm2[method](...args, (err, result) => {
+            if (err) {
+                return reject(err);
+            }
+            resolve(result);
+        });
+    });
+}
+
+/**
+ * Call a method of the PM2 daemon directly, for options the pm2 API does not expose
+ * e.g. callDaemon('restartProcessId', { id: 0, env: { PORT: '3000' } })
+ */
+async function callDaemon(method, params) {
+    await waitForConnection();
+
+    return new Promise((resolve, reject) => {
+        pm2.Client.executeRemote(method, params, (err, result) => {
+            if (err) {
+                return reject(err instanceof Error ? err : new Error(String(err.msg || err)));
+            }
+            resolve(result);
+        });
+    });
+}
+
+/**
+ * Subscribe to a PM2 bus event; listeners survive reconnects
+ * Returns a function that removes the listener
+ */
+function onBusEvent(event, listener) {
+    const entry = { event, listener };
+    busListeners.push(entry);
+
+    if (bus) {
+        bus.on(event, listener);
+    } else if (state.status === 'connected') {
+        launchBus();
+    } else if (state.status === 'disconnected') {
+        // The bus is launched as soon as the connection comes up
+        connect().catch((err) => {
+            console.error('[PM2] Bus subscription is waiting for the daemon:', err.message);
+        });
+    }
+
+    return () => {
+        const index = busListeners.indexOf(entry);
+        if (index !== -1) {
+            busListeners.splice(index, 1);
+        }
+        if (bus) {
+            // The bus can only unsubscribe a whole event, so re-attach the remaining listeners
+            bus.off(event);
+            busListeners
+                .filter((remaining) => remaining.event === event)
+                .forEach((remaining) => bus.on(event, remaining.listener));
+        }
+    };
+}
+
+function getClientState() {
+    return {
+        ...state,
+        pendingRequests: pendingRequests.length,
+        busConnected: Boolean(bus)
+    };
+}
+
+export { call, callDaemon, onBusEvent, getClientState };
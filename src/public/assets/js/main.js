@@ -18,4 +18,60 @@ async function pm2AppAction(appName, action){
         headers: headers
     })
     location.reload();
-}
\ No newline at end of file
+}
+
+// Metric value formatters for charts
+const metricFormats = {
+    percent: (value) => `${value.toFixed(1)} %`,
+    bytes: (value) => {
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = value > 0 ? Math.min(Math.floor(Math.log(value) / Math.log(1024)), sizes.length - 1) : 0;
+        return `${(value / Math.pow(1024, i)).toFixed(i ? 1 : 0)} ${sizes[i]}`;
+    },
+    ms: (value) => `${value.toFixed(2)} ms`,
+    count: (value) => `${Math.round(value)}`
+};
+
+/**
+ * Draw a metric series from GET /api/apps/:appName/metrics as an SVG line chart
+ * options: { field, title, format: key of metricFormats, color, height }
+ * Gaps longer than two steps (app stopped, sampler down) break the line.
+ */
+function drawLineChart(container, metrics, options) {
+    const { field, title = '', format = 'count', color = '#206bc4', height = 60 } = options;
+    const width = 300;
+    const points = metrics.points.filter(point => point[field] !== null && point[field] !== undefined);
+    const formatValue = metricFormats[format];
+
+    if (points.length === 0) {
+        container.innerHTML = `<div class="small text-muted">${title}</div><div class="text-muted small" style="height:${height}px;">No data</div>`;
+        return;
+    }
+
+    const values = points.map(point => point[field]);
+    const max = Math.max(...values);
+    const min = Math.min(0, ...values);
+    const x = (t) => ((t - metrics.from) / (metrics.to - metrics.from)) * width;
+    const y = (value) => height - ((value - min) / ((max - min) || 1)) * (height - 2) - 1;
+
+    const segments = [];
+    points.forEach((point, i) => {
+        if (i === 0 || point.t - points[i - 1].t > metrics.step * 2) {
+            segments.push([]);
+        }
+        segments[segments.length - 1].push(`${x(point.t).toFixed(1)},${y(point[field]).toFixed(1)}`);
+    });
+
+    const paths = segments.map(segment => {
+        const first = segment[0].split(',')[0];
+        const last = segment[segment.length - 1].split(',')[0];
+        return `<path d="M${first},${height} L${segment.join(' L')} L${last},${height} Z" fill="${color}" fill-opacity="0.15" stroke="none"></path>`
+            + `<polyline points="${segment.join(' ')}" fill="none" stroke="${color}" stroke-width="2" vector-effect="non-scaling-stroke"></polyline>`;
+    }).join('');
+
+    const time = (t) => new Date(t).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    container.innerHTML = `
+        <div class="d-flex justify-content-between small"><span class="text-muted">${title}</span><span>max ${formatValue(max)} · last ${formatValue(values[values.length - 1])}</span></div>
+        <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none" style="width:100%; height:${height}px; display:block;">${paths}</svg>
+        <div class="d-flex justify-content-between small text-muted"><span>${time(metrics.from)}</span><span>${time(metrics.to)}</span></div>`;
+}
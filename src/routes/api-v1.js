@@ -0,0 +1,465 @@
+import Router from '@koa/router';
+import config from '../config/index.js';
+import { listApps, describeApp, getAppEnv, startApp, reloadApp, restartApp, restartAppWithEnv, stopApp, scaleApp } from '../providers/pm2/api.js';
+import { queryMetrics, parseStep } from '../services/metrics.service.js';
+import { getDeploySettings, pickDeploySettings, updateDeploySettings, listDeploys, getDeploy, startDeploy } from '../services/deploy.service.js';
+import { saveEnvFile, listEnvVersions, rollbackEnvFile } from '../services/env-history.service.js';
+import { readLogs, readMergedLogs } from '../utils/read-logs.util.js';
+import { parseTimeParam } from '../utils/log-timestamp.util.js';
+import { createJsonLogFilter } from '../utils/json-logs.util.js';
+import { getCurrentGitBranch, getCurrentGitCommit, checkForUpdates, pullUpdates, listGitRefs, getGitLog, getIncomingCommits, checkoutGitRef } from '../utils/git.util.js';
+import { getEnvFileContent, parseEnvContent, maskEnvEntries, maskEnvContent, getEnvValues, describeProcessEnv } from '../utils/env.util.js';
+import { canAccessApp, filterVisibleApps } from '../utils/app-access.util.js';
+import { isTokenAuthenticated } from '../middlewares/auth.js';
+import { requireScope, requireAppAccess } from '../middlewares/role-check.js';
+import { validateRequest } from '../middlewares/validate-request.js';
+import { auditAction } from '../middlewares/audit.js';
+
+/**
+ * Versioned JSON API for scripts, authenticated with personal API tokens
+ * (`Authorization: Bearer <token>`) instead of the session, so no CSRF token is needed.
+ * Errors are `{ error: { message, status } }` bodies from the error handler.
+ */
+const router = new Router({ prefix: '/api/v1' });
+
+router.use(isTokenAuthenticated);
+
+const APP_ACTIONS = {
+    start: startApp,
+    stop: stopApp,
+    restart: restartApp,
+    reload: reloadApp
+};
+
+// Load the app of the `:appName` param or answer 404
+const loadApp = async (ctx) => {
+    const app = await describeApp(ctx.params.appName)
+
+    if (!app) {
+        ctx.throw(404, 'App not found');
+    }
+
+    return app
+}
+
+// Restarting is a control action of its own, for env routes that can restart the app
+const checkRestartScope = (ctx) => {
+    if (ctx.request.body?.restart && !ctx.state.apiToken.scopes.includes('control')) {
+        ctx.throw(403, 'API token is missing the control scope');
+    }
+}
+
+router.get('/me', async (ctx) => {
+    ctx.body = { user: ctx.state.user, token: ctx.state.apiToken };
+});
+
+router.get('/apps', requireScope('read'), async (ctx) => {
+    try {
+        const apps = filterVisibleApps(ctx.state.user, await listApps())
+        ctx.body = { apps };
+    } catch (err) {
+        console.error('Failed to list apps:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName', requireScope('read'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        ctx.body = { app };
+    } catch (err) {
+        console.error('Failed to fetch app details:', err);
+        throw err;
+    }
+});
+
+Object.entries(APP_ACTIONS).forEach(([action, runAction]) => {
+    router.post(`/apps/:appName/${action}`, auditAction(`app.${action}`), requireScope('control'), requireAppAccess('control'), validateRequest, async (ctx) => {
+        try {
+            await loadApp(ctx)
+            await runAction(ctx.params.appName)
+
+            ctx.body = { success: true };
+        } catch (err) {
+            console.error(`Failed to ${action} app:`, err);
+            throw err;
+        }
+    });
+});
+
+router.post('/apps/:appName/scale', auditAction('app.scale', { details: (ctx) => ({ instances: ctx.request.body?.instances }) }), requireScope('control'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params
+        const instances = parseInt(ctx.request.body?.instances, 10)
+
+        if (isNaN(instances) || instances < 1) {
+            ctx.throw(400, 'Instances must be a positive integer');
+        }
+
+        const app = await loadApp(ctx)
+
+        if (app.exec_mode !== 'cluster_mode') {
+            ctx.throw(400, 'Only cluster mode apps can be scaled');
+        }
+
+        if (app.instances !== instances) {
+            await scaleApp(appName, instances)
+        }
+
+        ctx.body = { success: true, instances };
+    } catch (err) {
+        console.error('Failed to scale app:', err);
+        throw err;
+    }
+});
+
+// Raw log lines, same paging and filters as the web UI endpoint
+router.get('/apps/:appName/logs/:logType', requireScope('read'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const { logType } = ctx.params
+        const { cursor, direction, from, linesPerRequest } = ctx.query
+
+        if (logType !== 'stdout' && logType !== 'stderr' && logType !== 'merged') {
+            ctx.throw(400, 'Log Type must be stdout, stderr or merged');
+        }
+
+        let since, until, filter
+        try {
+            since = parseTimeParam(ctx.query.since, 'Since')
+            until = parseTimeParam(ctx.query.until, 'Until')
+            filter = createJsonLogFilter({ level: ctx.query.level || null, fields: ctx.query.field || [] })
+        } catch (err) {
+            ctx.throw(400, err.message);
+        }
+
+        if (logType === 'merged' && ((direction && direction !== 'backward') || (from && from !== 'end'))) {
+            ctx.throw(400, 'Merged logs can only be read backward from the end');
+        }
+
+        const app = await loadApp(ctx)
+
+        let logs
+        try {
+            if (logType === 'merged') {
+                const sources = { stdout: app.pm_out_log_path, stderr: app.pm_err_log_path }
+                logs = await readMergedLogs({ sources, cursor, since, until, filter, linesPerRequest })
+            } else {
+                const filePath = logType === 'stdout' ? app.pm_out_log_path : app.pm_err_log_path
+                logs = await readLogs({ filePath, cursor, direction, from, since, until, filter, linesPerRequest })
+            }
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(400, err.message);
+        }
+
+        ctx.body = { logs };
+    } catch (err) {
+        console.error('Failed to fetch logs:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/metrics', requireScope('read'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        let from, to, step
+        try {
+            from = parseTimeParam(ctx.query.from, 'From')
+            to = parseTimeParam(ctx.query.to, 'To')
+            step = parseStep(ctx.query.step)
+        } catch (err) {
+            ctx.throw(400, err.message);
+        }
+
+        await loadApp(ctx)
+
+        let metrics
+        try {
+            metrics = await queryMetrics(ctx.params.appName, { from, to, step })
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(400, err.message);
+        }
+
+        ctx.body = { metrics };
+    } catch (err) {
+        console.error('Failed to fetch metrics:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/env', requireScope('env'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const content = await getEnvFileContent(app.pm2_env_cwd)
+        // Secret values are only sent to tokens of users who can edit the file
+        const reveal = canAccessApp(ctx.state.user, app.name, 'control')
+        const { entries, errors } = parseEnvContent(content ?? '')
+
+        ctx.body = {
+            content: reveal || content === null ? content : maskEnvContent(content),
+            entries: maskEnvEntries(entries, { reveal }),
+            errors
+        };
+    } catch (err) {
+        console.error('Failed to read env file:', err);
+        throw err;
+    }
+});
+
+router.put('/apps/:appName/env', auditAction('env.update', { details: (ctx) => ({ restart: Boolean(ctx.request.body?.restart) }) }), requireScope('env'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { content, comment, restart } = ctx.request.body || {}
+        checkRestartScope(ctx)
+
+        if (typeof content !== 'string') {
+            ctx.throw(400, 'Environment content must be a string');
+        }
+
+        const { errors } = parseEnvContent(content)
+        if (errors.length > 0) {
+            ctx.throw(400, `The .env file is invalid: ${errors[0]}`, { details: { errors } });
+        }
+
+        const app = await loadApp(ctx)
+        const version = await saveEnvFile(app, content, { author: ctx.state.user.username, source: 'api', comment })
+
+        if (restart) {
+            await restartAppWithEnv(app.name, getEnvValues(content))
+        }
+
+        ctx.body = { success: true, version };
+    } catch (err) {
+        console.error('Failed to save env file:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/env/process', requireScope('env'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const [processEnv, content] = await Promise.all([getAppEnv(app.name), getEnvFileContent(app.pm2_env_cwd)])
+        const fileValues = content !== null && parseEnvContent(content).errors.length === 0 ? getEnvValues(content) : {}
+        const reveal = canAccessApp(ctx.state.user, app.name, 'control')
+
+        ctx.body = { variables: describeProcessEnv(processEnv ?? {}, fileValues, { reveal }) };
+    } catch (err) {
+        console.error('Failed to read process env:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/env/history', requireScope('env'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        ctx.body = { versions: await listEnvVersions(app.name) };
+    } catch (err) {
+        console.error('Failed to read env history:', err);
+        throw err;
+    }
+});
+
+router.post('/apps/:appName/env/rollback', auditAction('env.rollback', { details: (ctx) => ({ version: ctx.request.body?.version, restart: Boolean(ctx.request.body?.restart) }) }), requireScope('env'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { version, restart } = ctx.request.body
+        checkRestartScope(ctx)
+
+        const app = await loadApp(ctx)
+
+        let saved
+        try {
+            saved = await rollbackEnvFile(app, version, { author: ctx.state.user.username, source: 'api' })
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(404, err.message);
+        }
+
+        if (restart) {
+            await restartAppWithEnv(app.name, getEnvValues(saved.content))
+        }
+
+        const { content, ...savedVersion } = saved
+        ctx.body = { success: true, version: savedVersion };
+    } catch (err) {
+        console.error('Failed to roll back env file:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/git', requireScope('git'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const [branch, commit, updateStatus] = await Promise.all([
+            getCurrentGitBranch(app.pm2_env_cwd),
+            getCurrentGitCommit(app.pm2_env_cwd),
+            checkForUpdates(app.pm2_env_cwd)
+        ])
+
+        ctx.body = { branch, commit, updateStatus };
+    } catch (err) {
+        console.error('Failed to fetch git status:', err);
+        throw err;
+    }
+});
+
+router.post('/apps/:appName/git/pull', auditAction('git.pull'), requireScope('git'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const result = await pullUpdates(app.pm2_env_cwd)
+
+        if (!result.success) {
+            ctx.throw(409, result.message, { details: { error: result.error, output: result.output } });
+        }
+
+        const commit = await getCurrentGitCommit(app.pm2_env_cwd)
+        ctx.body = { success: true, message: result.message, output: result.output, commit };
+    } catch (err) {
+        console.error('Failed to pull updates:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/git/refs', requireScope('git'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const [refs, branch, commit] = await Promise.all([
+            listGitRefs(app.pm2_env_cwd),
+            getCurrentGitBranch(app.pm2_env_cwd),
+            getCurrentGitCommit(app.pm2_env_cwd)
+        ])
+
+        ctx.body = { branch: branch === 'HEAD' ? null : branch, commit, ...refs };
+    } catch (err) {
+        console.error('Failed to list git refs:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/git/log', requireScope('git'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const { ref, limit } = ctx.query
+        let commits
+        try {
+            commits = await getGitLog(app.pm2_env_cwd, { ref: ref || 'HEAD', limit: parseInt(limit) || config.DEFAULTS.GIT_LOG_DEFAULT_COMMITS })
+        } catch (err) {
+            ctx.throw(400, err.message)
+        }
+
+        ctx.body = { commits };
+    } catch (err) {
+        console.error('Failed to read git log:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/git/incoming', requireScope('git'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+
+        ctx.body = await getIncomingCommits(app.pm2_env_cwd, { limit: parseInt(ctx.query.limit) || config.DEFAULTS.GIT_LOG_DEFAULT_COMMITS });
+    } catch (err) {
+        console.error('Failed to list incoming commits:', err);
+        throw err;
+    }
+});
+
+router.post('/apps/:appName/git/checkout', auditAction('git.checkout', { details: (ctx) => ({ ref: ctx.request.body?.ref }) }), requireScope('git'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const result = await checkoutGitRef(app.pm2_env_cwd, ctx.request.body.ref)
+
+        if (!result.success) {
+            ctx.throw(409, result.message, { details: { error: result.error, output: result.output } });
+        }
+
+        ctx.body = result;
+    } catch (err) {
+        console.error('Failed to switch git ref:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/deploys', requireScope('deploy'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+        const [settings, deploys] = await Promise.all([getDeploySettings(app.name), listDeploys(app.name)])
+
+        ctx.body = { settings, deploys };
+    } catch (err) {
+        console.error('Failed to list deploys:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName/deploys/:id', requireScope('deploy'), requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+
+        let deploy
+        try {
+            deploy = await getDeploy(app.name, parseInt(ctx.params.id, 10))
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(404, err.message);
+        }
+
+        ctx.body = { deploy };
+    } catch (err) {
+        console.error('Failed to read deploy:', err);
+        throw err;
+    }
+});
+
+router.put('/apps/:appName/deploy/settings', auditAction('deploy.settings', { details: (ctx) => pickDeploySettings(ctx.request.body) }), requireScope('deploy'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+
+        let settings
+        try {
+            settings = await updateDeploySettings(app.name, ctx.request.body)
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(400, err.message);
+        }
+
+        ctx.body = { success: true, settings };
+    } catch (err) {
+        console.error('Failed to save deploy settings:', err);
+        throw err;
+    }
+});
+
+// Starts the deploy and answers right away, poll the deploy for its steps and status
+router.post('/apps/:appName/deploy', auditAction('deploy.start'), requireScope('deploy'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await loadApp(ctx)
+
+        let deploy
+        try {
+            deploy = await startDeploy(app, { author: ctx.state.user.username, source: 'api' })
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(409, err.message);
+        }
+
+        ctx.status = 202;
+        ctx.body = { success: true, deploy };
+    } catch (err) {
+        console.error('Failed to start deploy:', err);
+        throw err;
+    }
+});
+
+export default router;
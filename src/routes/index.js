@@ -1,50 +1,210 @@
 import config from '../config/index.js';
 import { RateLimit } from 'koa2-ratelimit';
 import Router from '@koa/router';
-import { listApps, describeApp, reloadApp, restartApp, stopApp, flushLogs } from '../providers/pm2/api.js';
+import { listApps, describeApp, getAppEnv, listProcessStats, startApp, reloadApp, restartApp, restartAppWithEnv, stopApp, deleteApp, scaleApp, startEcosystem, flushLogs } from '../providers/pm2/api.js';
+import { getClientState } from '../providers/pm2/client.js';
 import { validateAdminUser } from '../services/admin.service.js';
-import { readLogsReverse } from '../utils/read-logs.util.js';
-import { getCurrentGitBranch, getCurrentGitCommit, checkForUpdates, pullUpdates } from '../utils/git.util.js';
-import { getEnvFileContent, writeEnvFileContent } from '../utils/env.util.js';
-import { isAuthenticated, checkAuthentication } from '../middlewares/auth.js';
-import { requireRole } from '../middlewares/role-check.js';
+import { USER_ROLES, listUsers, createUser, updateUserPassword, changeOwnPassword, updateUserRole, setUserDisabled, updateUserAppAccess, deleteUser, API_TOKEN_SCOPES, createApiToken, listApiTokens, revokeApiToken, beginTotpSetup, enableTotp, disableTotp, verifyTwoFactor, regenerateRecoveryCodes, getTwoFactorStatus, resetTotp } from '../services/user.service.js';
+import { beginOidcLogin, completeOidcLogin } from '../services/oidc.service.js';
+import { checkLoginAllowed, recordLoginFailure, recordLoginSuccess, getAccountLockout, listLockouts, unlockAccount, unlockIp } from '../services/login-guard.service.js';
+import { AUDIT_SOURCES, AUDIT_OUTCOMES, recordAuditEvent, queryAuditEvents, formatAuditCsv } from '../services/audit.service.js';
+import { queryMetrics, parseStep } from '../services/metrics.service.js';
+import { getDeploySettings, pickDeploySettings, updateDeploySettings, listDeploys, getDeploy, subscribeToDeploy, startDeploy } from '../services/deploy.service.js';
+import { saveEnvFile, listEnvVersions, getEnvVersion, diffEnvVersions, rollbackEnvFile } from '../services/env-history.service.js';
+import { readLogs, readMergedLogs } from '../utils/read-logs.util.js';
+import { tailLogFile } from '../utils/tail-logs.util.js';
+import { searchLogs, createMatcher } from '../utils/search-logs.util.js';
+import { listLogFiles, createLogDownload } from '../utils/download-logs.util.js';
+import { parseTimeParam } from '../utils/log-timestamp.util.js';
+import { parseJsonLogLine, createJsonLogFilter, renderJsonLog } from '../utils/json-logs.util.js';
+import { formatPrometheusMetrics } from '../utils/prometheus.util.js';
+import { bytesToSize, timeSince } from '../utils/format.util.js';
+import { APP_ACCESS_LEVELS, canAccessApp, canControlAnyApp, filterVisibleApps } from '../utils/app-access.util.js';
+import { getCurrentGitBranch, getCurrentGitCommit, checkForUpdates, pullUpdates, listGitRefs, getGitLog, getIncomingCommits, checkoutGitRef } from '../utils/git.util.js';
+import { getEnvFileContent, parseEnvContent, serializeEnvEntries, maskEnvEntries, getEnvValues, describeProcessEnv } from '../utils/env.util.js';
+import { resolveEcosystem } from '../utils/ecosystem.util.js';
+import { openApiSpec } from '../docs/openapi.js';
+import { isAuthenticated, checkAuthentication, requireMetricsToken } from '../middlewares/auth.js';
+import { requireRole, requireAppAccess } from '../middlewares/role-check.js';
+import { validateRequest } from '../middlewares/validate-request.js';
+import { auditAction } from '../middlewares/audit.js';
 import AnsiConverter from 'ansi-to-html';
+import QRCode from 'qrcode';
+import { PassThrough } from 'stream';
+import path from 'path';
 
 const router = new Router();
 const ansiConvert = new AnsiConverter();
 
+// JSON log lines get a collapsible view, everything else keeps its ANSI colors
+const renderLogLine = (line) => {
+    const json = parseJsonLogLine(line)
+    return json ? renderJsonLog(json) : ansiConvert.toHtml(line)
+}
+
+const formatLogs = (logs) => {
+    logs.lines = logs.lines.map(({ line, ...rest }) => ({ ...rest, html: renderLogLine(line) }))
+    return logs
+}
+
 const loginRateLimiter = RateLimit.middleware({
     interval: 2 * 60 * 1000, // 2 minutes
     max: 100,
     prefixKey: '/login' // to allow the bdd to Differentiate the endpoint 
 });
 
+// Login page, with the single sign-on button when OIDC is enabled
+const renderLogin = (ctx, { username = '', password = '', error = null } = {}) => ctx.render('auth/login', {
+    layout: false,
+    login: { username, password, error },
+    sso: config.OIDC_ENABLED ? { label: config.OIDC_BUTTON_LABEL } : null,
+    csrf: ctx.state._csrf
+})
+
 router.get('/', async (ctx) => {
     return ctx.redirect('/login')
 })
 
 router.get('/login', loginRateLimiter, checkAuthentication, async (ctx) => {
-    return await ctx.render('auth/login', { layout: false, login: { username: '', password: '', error: null }, csrf: ctx.state._csrf })
+    return await renderLogin(ctx)
 })
 
 router.post('/login', loginRateLimiter, checkAuthentication, async (ctx) => {
     const { username, password } = ctx.request.body;
+    try {
+        // Delayed or locked accounts and IPs are refused before the password is checked
+        checkLoginAllowed(username, ctx.ip)
+    }
+    catch (err) {
+        return await renderLogin(ctx, { username, password, error: err.message })
+    }
     try {
         const user = await validateAdminUser(username, password)
+        if (user.twoFactor) {
+            // The session only logs in once the TOTP code of the second step matches
+            ctx.session.pending2fa = { username: user.username, expires: Date.now() + config.DEFAULTS.TWO_FACTOR_LOGIN_TIMEOUT, attempts: 0 }
+            return ctx.redirect('/login/2fa')
+        }
+        recordLoginSuccess(user.username)
         ctx.session.isAuthenticated = true;
-        ctx.session.user = user; // Store user info including role
+        ctx.session.user = { username: user.username, role: user.role }; // Store user info including role
         return ctx.redirect('/apps')
     }
     catch (err) {
-        return await ctx.render('auth/login', { layout: false, login: { username, password, error: err.message }, csrf: ctx.state._csrf })
+        await recordLoginFailure(username, ctx.ip)
+        return await renderLogin(ctx, { username, password, error: err.message })
+    }
+})
+
+// Login waiting for its second step, null once it expired
+const getPendingTwoFactor = (ctx) => {
+    const pending = ctx.session.pending2fa
+    if (pending && pending.expires > Date.now()) {
+        return pending
+    }
+    delete ctx.session.pending2fa
+    return null
+}
+
+router.get('/login/2fa', loginRateLimiter, checkAuthentication, async (ctx) => {
+    if (!getPendingTwoFactor(ctx)) {
+        return ctx.redirect('/login')
+    }
+    return await ctx.render('auth/login-2fa', { layout: false, error: null, csrf: ctx.state._csrf })
+})
+
+router.post('/login/2fa', loginRateLimiter, checkAuthentication, async (ctx) => {
+    const pending = getPendingTwoFactor(ctx)
+    if (!pending) {
+        return ctx.redirect('/login')
+    }
+    try {
+        checkLoginAllowed(pending.username, ctx.ip)
+    }
+    catch (err) {
+        return await ctx.render('auth/login-2fa', { layout: false, error: err.message, csrf: ctx.state._csrf })
+    }
+    try {
+        const user = await verifyTwoFactor(pending.username, ctx.request.body.code)
+        delete ctx.session.pending2fa
+        recordLoginSuccess(user.username)
+        ctx.session.isAuthenticated = true;
+        ctx.session.user = { username: user.username, role: user.role };
+        // A used recovery code means the authenticator may be lost, show the remaining codes
+        return ctx.redirect(user.usedRecoveryCode ? '/account/2fa' : '/apps')
+    }
+    catch (err) {
+        // Wrong codes count towards the lockout of the account too
+        await recordLoginFailure(pending.username, ctx.ip)
+        pending.attempts++
+        if (pending.attempts >= config.DEFAULTS.TWO_FACTOR_MAX_ATTEMPTS) {
+            delete ctx.session.pending2fa
+            return await renderLogin(ctx, { username: pending.username, error: 'Too many incorrect codes, log in again' })
+        }
+        return await ctx.render('auth/login-2fa', { layout: false, error: err.message, csrf: ctx.state._csrf })
+    }
+})
+
+/**
+ * OIDC checks (PKCE verifier, state, nonce) live in their own signed cookie until the callback:
+ * the session cookie is SameSite=strict, so browsers leave it out of the redirect back from the IdP
+ */
+const OIDC_COOKIE = 'pm2webui.oidc'
+const oidcCookieOptions = { signed: true, httpOnly: true, sameSite: 'lax', secure: config.HTTPS_ENABLED, maxAge: config.DEFAULTS.OIDC_LOGIN_TIMEOUT }
+
+// ctx.origin is the Origin header in Koa 3
+const getBaseUrl = (ctx) => `${ctx.protocol}://${ctx.host}`
+
+const requireOidc = async (ctx, next) => {
+    if (!config.OIDC_ENABLED) {
+        ctx.throw(404)
+    }
+    await next()
+}
+
+router.get('/login/oidc', loginRateLimiter, requireOidc, checkAuthentication, async (ctx) => {
+    try {
+        const { url, checks } = await beginOidcLogin(getBaseUrl(ctx))
+        ctx.cookies.set(OIDC_COOKIE, JSON.stringify(checks), oidcCookieOptions)
+        return ctx.redirect(url)
+    }
+    catch (err) {
+        console.error('Failed to start single sign-on:', err);
+        return await renderLogin(ctx, { error: 'Single sign-on is unavailable, try again later' })
+    }
+})
+
+router.get('/login/oidc/callback', loginRateLimiter, requireOidc, async (ctx) => {
+    const checks = ctx.cookies.get(OIDC_COOKIE, { signed: true })
+    ctx.cookies.set(OIDC_COOKIE, null, oidcCookieOptions)
+    if (!checks) {
+        return await renderLogin(ctx, { error: 'Single sign-on expired, try again' })
+    }
+    try {
+        const user = await completeOidcLogin(getBaseUrl(ctx), ctx.querystring, JSON.parse(checks))
+        if (user.created) {
+            await recordAuditEvent({ actor: user.username, action: 'user.create', target: user.username, details: { role: user.role, sso: true }, ip: ctx.ip })
+        }
+        ctx.session.isAuthenticated = true;
+        ctx.session.user = { username: user.username, role: user.role };
+        // Continue from a page of this site, a redirect would still count as coming from the IdP for the SameSite=strict cookie
+        return await ctx.render('auth/redirect', { layout: false, url: '/apps' })
+    }
+    catch (err) {
+        console.error('Single sign-on failed:', err);
+        // Errors sent back by the IdP carry their own description, e.g. a denied consent
+        return await renderLogin(ctx, { error: `Single sign-on failed: ${err.error_description || err.message}` })
     }
 })
 
 router.get('/apps', isAuthenticated, async (ctx) => {
     try {
-        const apps = await listApps()
+        const apps = filterVisibleApps(ctx.state.user, await listApps())
         return await ctx.render('apps/dashboard', {
             apps,
+            bytesToSize,
+            timeSince,
+            user: ctx.session.user,
             csrf: ctx.state._csrf
         });
     } catch (err) {
@@ -53,12 +213,378 @@ router.get('/apps', isAuthenticated, async (ctx) => {
     }
 });
 
+router.get('/api/pm2/health', isAuthenticated, async (ctx) => {
+    const pm2 = getClientState()
+    ctx.status = pm2.status === 'connected' ? 200 : 503
+    ctx.body = { pm2 }
+})
+
+router.get('/metrics', requireMetricsToken, async (ctx) => {
+    try {
+        const processes = await listProcessStats()
+        ctx.type = 'text/plain; version=0.0.4; charset=utf-8'
+        ctx.body = formatPrometheusMetrics(processes)
+    } catch (err) {
+        // Plain text 503 so the scrape is marked as failed instead of getting an HTML error page
+        console.error('Failed to export metrics:', err);
+        ctx.status = 503
+        ctx.body = 'PM2 is unavailable\n'
+    }
+})
+
+// Public, so API clients can fetch the contract without a session
+router.get('/api/openapi.json', async (ctx) => {
+    ctx.body = openApiSpec
+})
+
+router.get('/api-docs', isAuthenticated, async (ctx) => {
+    return await ctx.render('docs/api', {
+        csrf: ctx.state._csrf
+    });
+});
+
 router.get('/logout', (ctx) => {
     ctx.session = null;
     return ctx.redirect('/login')
 })
 
-router.get('/apps/:appName', isAuthenticated, async (ctx) => {
+router.get('/launch', isAuthenticated, requireRole('admin'), async (ctx) => {
+    return await ctx.render('apps/launch', {
+        csrf: ctx.state._csrf
+    });
+});
+
+router.post('/api/launch/preview', isAuthenticated, requireRole('admin'), validateRequest, async (ctx) => {
+    try {
+        const apps = await resolveEcosystem(ctx.request.body)
+        const runningApps = await listApps()
+        const runningNames = new Set(runningApps.map(app => app.name))
+
+        ctx.body = {
+            success: true,
+            apps,
+            existing: apps.filter(app => runningNames.has(app.name)).map(app => app.name)
+        };
+    } catch (err) {
+        console.error('Failed to preview ecosystem:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+const auditLaunch = auditAction('app.launch', {
+    target: () => null,
+    details: (ctx) => ({ source: ctx.request.body?.source, filePath: ctx.request.body?.filePath, fileName: ctx.request.body?.fileName })
+})
+
+router.post('/api/launch', isAuthenticated, auditLaunch, requireRole('admin'), validateRequest, async (ctx) => {
+    try {
+        const apps = await resolveEcosystem(ctx.request.body)
+        const procs = await startEcosystem(apps)
+
+        if (Array.isArray(procs) && procs.length > 0) {
+            ctx.body = { success: true, apps: apps.map(app => app.name) }
+        } else {
+            ctx.body = { success: false, message: 'Failed to start apps' }
+        }
+    } catch (err) {
+        console.error('Failed to launch apps:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.get('/tokens', isAuthenticated, async (ctx) => {
+    try {
+        const tokens = await listApiTokens(ctx.session.user.username)
+        return await ctx.render('account/tokens', {
+            tokens,
+            scopes: API_TOKEN_SCOPES,
+            canControl: canControlAnyApp(ctx.state.user),
+            user: ctx.session.user,
+            csrf: ctx.state._csrf
+        });
+    } catch (err) {
+        console.error('Failed to list API tokens:', err);
+        throw err;
+    }
+});
+
+router.get('/api/tokens', isAuthenticated, async (ctx) => {
+    try {
+        const tokens = await listApiTokens(ctx.session.user.username)
+        ctx.body = { tokens };
+    } catch (err) {
+        console.error('Failed to list API tokens:', err);
+        throw err;
+    }
+});
+
+router.post('/api/tokens', isAuthenticated, auditAction('token.create', { target: (ctx) => ctx.state.user.username, details: (ctx) => ({ name: ctx.request.body?.name, scopes: ctx.request.body?.scopes }) }), validateRequest, async (ctx) => {
+    try {
+        const { name, scopes } = ctx.request.body
+        const token = await createApiToken(ctx.session.user.username, { name, scopes })
+        ctx.body = { success: true, token };
+    } catch (err) {
+        console.error('Failed to create API token:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.post('/api/tokens/:tokenId/revoke', isAuthenticated, auditAction('token.revoke', { target: (ctx) => ctx.state.user.username, details: (ctx) => ({ tokenId: ctx.params.tokenId }) }), validateRequest, async (ctx) => {
+    try {
+        await revokeApiToken(ctx.session.user.username, ctx.params.tokenId)
+        ctx.body = { success: true };
+    } catch (err) {
+        console.error('Failed to revoke API token:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.get('/account/password', isAuthenticated, async (ctx) => {
+    return await ctx.render('account/password', {
+        csrf: ctx.state._csrf
+    });
+});
+
+router.post('/api/account/password', isAuthenticated, auditAction('account.password', { target: (ctx) => ctx.state.user.username }), validateRequest, async (ctx) => {
+    try {
+        const { currentPassword, newPassword } = ctx.request.body
+        await changeOwnPassword(ctx.session.user.username, currentPassword, newPassword)
+        ctx.body = { success: true };
+    } catch (err) {
+        console.error('Failed to change password:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.get('/account/2fa', isAuthenticated, async (ctx) => {
+    try {
+        const twoFactor = await getTwoFactorStatus(ctx.session.user.username)
+        return await ctx.render('account/2fa', {
+            twoFactor,
+            csrf: ctx.state._csrf
+        });
+    } catch (err) {
+        console.error('Failed to get two-factor status:', err);
+        throw err;
+    }
+});
+
+router.get('/api/account/2fa', isAuthenticated, validateRequest, async (ctx) => {
+    try {
+        ctx.body = await getTwoFactorStatus(ctx.session.user.username)
+    } catch (err) {
+        console.error('Failed to get two-factor status:', err);
+        throw err;
+    }
+});
+
+router.post('/api/account/2fa/setup', isAuthenticated, validateRequest, async (ctx) => {
+    try {
+        const { secret, uri } = await beginTotpSetup(ctx.session.user.username)
+        const qrCode = await QRCode.toDataURL(uri)
+        ctx.body = { success: true, secret, uri, qrCode };
+    } catch (err) {
+        console.error('Failed to start two-factor setup:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+const auditTwoFactor = (action) => auditAction(action, { target: (ctx) => ctx.state.user.username })
+
+router.post('/api/account/2fa/enable', isAuthenticated, auditTwoFactor('account.2fa.enable'), validateRequest, async (ctx) => {
+    try {
+        const recoveryCodes = await enableTotp(ctx.session.user.username, ctx.request.body.code)
+        ctx.body = { success: true, recoveryCodes };
+    } catch (err) {
+        console.error('Failed to enable two-factor authentication:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.post('/api/account/2fa/disable', isAuthenticated, auditTwoFactor('account.2fa.disable'), validateRequest, async (ctx) => {
+    try {
+        await disableTotp(ctx.session.user.username, ctx.request.body.password)
+        ctx.body = { success: true };
+    } catch (err) {
+        console.error('Failed to disable two-factor authentication:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.post('/api/account/2fa/recovery-codes', isAuthenticated, auditTwoFactor('account.2fa.recovery-codes'), validateRequest, async (ctx) => {
+    try {
+        const recoveryCodes = await regenerateRecoveryCodes(ctx.session.user.username, ctx.request.body.code)
+        ctx.body = { success: true, recoveryCodes };
+    } catch (err) {
+        console.error('Failed to regenerate recovery codes:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+// Users with the time their account is locked until after failed logins, if it is
+const listUsersWithLockouts = async () => {
+    const users = await listUsers()
+    return users.map(user => ({ ...user, lockedUntil: getAccountLockout(user.username) }))
+}
+
+router.get('/users', isAuthenticated, requireRole('admin'), async (ctx) => {
+    try {
+        const users = await listUsersWithLockouts()
+        return await ctx.render('account/users', {
+            users,
+            lockedIps: listLockouts().ips,
+            roles: USER_ROLES,
+            accessLevels: APP_ACCESS_LEVELS,
+            csrf: ctx.state._csrf
+        });
+    } catch (err) {
+        console.error('Failed to list users:', err);
+        throw err;
+    }
+});
+
+router.get('/api/users', isAuthenticated, requireRole('admin'), async (ctx) => {
+    try {
+        const users = await listUsersWithLockouts()
+        ctx.body = { users };
+    } catch (err) {
+        console.error('Failed to list users:', err);
+        throw err;
+    }
+});
+
+// Runs a user change for the admin routes below
+const manageUser = async (ctx, action, change) => {
+    try {
+        const result = await change()
+        ctx.body = { success: true, ...(result && result !== true ? { user: result } : {}) };
+    } catch (err) {
+        console.error(`Failed to run ${action}:`, err);
+        ctx.body = { success: false, message: err.message };
+    }
+}
+
+const auditUser = (action, details) => auditAction(action, {
+    target: (ctx) => ctx.params.username ?? ctx.request.body?.username ?? null,
+    details
+})
+
+router.post('/api/users', isAuthenticated, auditUser('user.create', (ctx) => ({ role: ctx.request.body?.role })), requireRole('admin'), validateRequest, async (ctx) => {
+    const { username, password, role } = ctx.request.body
+    await manageUser(ctx, 'user.create', () => createUser(username, password, role))
+});
+
+router.post('/api/users/:username/role', isAuthenticated, auditUser('user.role', (ctx) => ({ role: ctx.request.body?.role })), requireRole('admin'), validateRequest, async (ctx) => {
+    const { role } = ctx.request.body
+    await manageUser(ctx, 'user.role', () => updateUserRole(ctx.params.username, role))
+});
+
+router.post('/api/users/:username/password', isAuthenticated, auditUser('user.password'), requireRole('admin'), validateRequest, async (ctx) => {
+    const { password } = ctx.request.body
+    await manageUser(ctx, 'user.password', () => updateUserPassword(ctx.params.username, password))
+});
+
+router.post('/api/users/:username/apps', isAuthenticated, auditUser('user.apps', (ctx) => ({ appAccess: ctx.request.body?.appAccess })), requireRole('admin'), validateRequest, async (ctx) => {
+    const { appAccess } = ctx.request.body
+    await manageUser(ctx, 'user.apps', () => updateUserAppAccess(ctx.params.username, appAccess))
+});
+
+router.post('/api/users/:username/disable', isAuthenticated, auditUser('user.disable'), requireRole('admin'), validateRequest, async (ctx) => {
+    await manageUser(ctx, 'user.disable', () => setUserDisabled(ctx.params.username, true))
+});
+
+router.post('/api/users/:username/enable', isAuthenticated, auditUser('user.enable'), requireRole('admin'), validateRequest, async (ctx) => {
+    await manageUser(ctx, 'user.enable', () => setUserDisabled(ctx.params.username, false))
+});
+
+router.post('/api/users/:username/2fa/reset', isAuthenticated, auditUser('user.2fa.reset'), requireRole('admin'), validateRequest, async (ctx) => {
+    await manageUser(ctx, 'user.2fa.reset', () => resetTotp(ctx.params.username))
+});
+
+router.post('/api/users/:username/unlock', isAuthenticated, auditUser('user.unlock'), requireRole('admin'), validateRequest, async (ctx) => {
+    await manageUser(ctx, 'user.unlock', () => unlockAccount(ctx.params.username))
+});
+
+router.get('/api/login-lockouts', isAuthenticated, requireRole('admin'), validateRequest, async (ctx) => {
+    ctx.body = listLockouts()
+});
+
+router.post('/api/login-lockouts/ip/unlock', isAuthenticated, auditAction('login.unlock-ip', { target: (ctx) => ctx.request.body?.ip ?? null }), requireRole('admin'), validateRequest, async (ctx) => {
+    await manageUser(ctx, 'login.unlock-ip', () => unlockIp(ctx.request.body.ip))
+});
+
+router.post('/api/users/:username/delete', isAuthenticated, auditUser('user.delete'), requireRole('admin'), validateRequest, async (ctx) => {
+    await manageUser(ctx, 'user.delete', async () => {
+        // The .env admin would be recreated on its next login
+        if (ctx.params.username === config.APP_USERNAME) {
+            throw new Error('The admin user from .env cannot be deleted, disable it instead');
+        }
+        return deleteUser(ctx.params.username)
+    })
+});
+
+// Audit log filters of the query string, times are parsed like the log filters
+const parseAuditFilters = (ctx) => {
+    const { actor, action, target, source, outcome } = ctx.query
+    try {
+        return {
+            from: parseTimeParam(ctx.query.from, 'From'),
+            to: parseTimeParam(ctx.query.to, 'To'),
+            actor: actor || null,
+            action: action || null,
+            target: target || null,
+            source: source || null,
+            outcome: outcome || null
+        }
+    } catch (err) {
+        ctx.throw(400, err.message);
+    }
+}
+
+router.get('/audit', isAuthenticated, requireRole('admin'), async (ctx) => {
+    return await ctx.render('admin/audit', {
+        sources: AUDIT_SOURCES,
+        outcomes: AUDIT_OUTCOMES,
+        pageSize: config.DEFAULTS.AUDIT_PAGE_SIZE,
+        csrf: ctx.state._csrf
+    });
+});
+
+router.get('/api/audit', isAuthenticated, requireRole('admin'), validateRequest, async (ctx) => {
+    try {
+        const filters = parseAuditFilters(ctx)
+        const limit = parseInt(ctx.query.limit, 10) || config.DEFAULTS.AUDIT_PAGE_SIZE
+        const offset = parseInt(ctx.query.offset, 10) || 0
+
+        ctx.body = await queryAuditEvents({ ...filters, limit, offset });
+    } catch (err) {
+        console.error('Failed to read audit log:', err);
+        throw err;
+    }
+});
+
+router.get('/api/audit/export', isAuthenticated, requireRole('admin'), validateRequest, auditAction('audit.export', { target: () => null, details: (ctx) => ({ ...ctx.query }) }), async (ctx) => {
+    try {
+        const filters = parseAuditFilters(ctx)
+        const format = ctx.query.format || 'csv'
+        const { events } = await queryAuditEvents({ ...filters, limit: config.DEFAULTS.AUDIT_EXPORT_MAX_EVENTS })
+        const fileName = `audit-${new Date().toISOString().slice(0, 10)}.${format}`
+
+        ctx.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (format === 'json') {
+            ctx.type = 'application/json';
+            ctx.body = JSON.stringify(events, null, 2);
+        } else {
+            ctx.type = 'text/csv; charset=utf-8';
+            ctx.body = formatAuditCsv(events);
+        }
+    } catch (err) {
+        console.error('Failed to export audit log:', err);
+        throw err;
+    }
+});
+
+router.get('/apps/:appName', isAuthenticated, requireAppAccess('view'), async (ctx) => {
     try {
         const { appName } = ctx.params
 
@@ -75,39 +601,250 @@ router.get('/apps/:appName', isAuthenticated, async (ctx) => {
         app.git_branch = await getCurrentGitBranch(app.pm2_env_cwd)
         app.git_commit = await getCurrentGitCommit(app.pm2_env_cwd)
         app.git_update_status = await checkForUpdates(app.pm2_env_cwd)
-        app.env_file = await getEnvFileContent(app.pm2_env_cwd)
+        app.env_file = await getEnvFileContent(app.pm2_env_cwd) !== null
+
+        const stdout = formatLogs(await readLogs({ filePath: app.pm_out_log_path }))
+        const stderr = formatLogs(await readLogs({ filePath: app.pm_err_log_path }))
+
+        return await ctx.render('apps/app', {
+            app,
+            bytesToSize,
+            timeSince,
+            logs: {
+                stdout,
+                stderr
+            },
+            canControl: canAccessApp(ctx.state.user, appName, 'control'),
+            canManageGit: canAccessApp(ctx.state.user, appName, 'control'),
+            csrf: ctx.state._csrf
+        });
+    } catch (err) {
+        console.error('Failed to fetch app details:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/logs/:logType', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const { appName, logType } = ctx.params
+        const { cursor, direction, from, linesPerRequest } = ctx.query
+
+        if (logType !== 'stdout' && logType !== 'stderr' && logType !== 'merged') {
+            ctx.throw(400, 'Log Type must be stdout, stderr or merged');
+        }
+
+        if (!appName) {
+            ctx.throw(400, 'App name is required');
+        }
+
+        let since, until, filter
+        try {
+            since = parseTimeParam(ctx.query.since, 'Since')
+            until = parseTimeParam(ctx.query.until, 'Until')
+            filter = createJsonLogFilter({ level: ctx.query.level || null, fields: ctx.query.field || [] })
+        } catch (err) {
+            ctx.throw(400, err.message);
+        }
+
+        if (logType === 'merged' && ((direction && direction !== 'backward') || (from && from !== 'end'))) {
+            ctx.throw(400, 'Merged logs can only be read backward from the end');
+        }
+
+        const app = await describeApp(appName)
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
+
+        let logs
+        try {
+            if (logType === 'merged') {
+                const sources = { stdout: app.pm_out_log_path, stderr: app.pm_err_log_path }
+                logs = await readMergedLogs({ sources, cursor, since, until, filter, linesPerRequest })
+            } else {
+                const filePath = logType === 'stdout' ? app.pm_out_log_path : app.pm_err_log_path
+                logs = await readLogs({ filePath, cursor, direction, from, since, until, filter, linesPerRequest })
+            }
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(400, err.message);
+        }
+
+        ctx.body = { logs: formatLogs(logs) };
+    } catch (err) {
+        console.error('Failed to fetch logs:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/logs/:logType/search', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const { appName, logType } = ctx.params
+        const { q: query, context, limit } = ctx.query
+        const regex = ctx.query.regex === 'true'
+        const caseSensitive = ctx.query.caseSensitive === 'true'
+
+        if (logType !== 'stdout' && logType !== 'stderr') {
+            ctx.throw(400, 'Log Type must be stdout or stderr');
+        }
+
+        if (!appName) {
+            ctx.throw(400, 'App name is required');
+        }
+
+        try {
+            createMatcher({ query, regex, caseSensitive })
+        } catch (err) {
+            ctx.throw(400, err.message);
+        }
+
+        const app = await describeApp(appName)
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
+
+        // Stop reading the file as soon as the client goes away
+        const controller = new AbortController()
+        const abort = () => controller.abort()
+        ctx.res.once('close', abort)
+
+        const filePath = logType === 'stdout' ? app.pm_out_log_path : app.pm_err_log_path
+        try {
+            const search = await searchLogs({ filePath, query, regex, caseSensitive, context, limit, signal: controller.signal })
+            ctx.body = { search };
+        } catch (err) {
+            // The client went away, there is nobody to answer
+            if (err.name === 'AbortError') {
+                return;
+            }
+            if (err.name === 'SearchTimeoutError') {
+                ctx.throw(400, err.message);
+            }
+            throw err;
+        } finally {
+            ctx.res.off('close', abort)
+        }
+    } catch (err) {
+        console.error('Failed to search logs:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/logs/:logType/files', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const { appName, logType } = ctx.params
+
+        if (logType !== 'stdout' && logType !== 'stderr') {
+            ctx.throw(400, 'Log Type must be stdout or stderr');
+        }
+
+        const app = await describeApp(appName)
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
+
+        const filePath = logType === 'stdout' ? app.pm_out_log_path : app.pm_err_log_path
+        let files = await listLogFiles(filePath)
+
+        // Rotated files hold history viewers cannot browse in the app page
+        if (!canAccessApp(ctx.state.user, appName, 'control')) {
+            files = files.filter(file => file.current)
+        }
+
+        ctx.body = { files };
+    } catch (err) {
+        console.error('Failed to list log files:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/logs/:logType/download', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const { appName, logType } = ctx.params
+        const { file } = ctx.query
+        const gzip = ctx.query.gzip === 'true'
+
+        if (logType !== 'stdout' && logType !== 'stderr') {
+            ctx.throw(400, 'Log Type must be stdout or stderr');
+        }
+
+        const range = {}
+        for (const key of ['start', 'end']) {
+            const value = ctx.query[key]
+            if (value === undefined || value === '') {
+                range[key] = null
+            } else if (/^\d+$/.test(value)) {
+                range[key] = parseInt(value, 10)
+            } else {
+                ctx.throw(400, `${key} must be a byte offset`);
+            }
+        }
+        try {
+            range.from = parseTimeParam(ctx.query.from, 'From')
+            range.to = parseTimeParam(ctx.query.to, 'To')
+        } catch (err) {
+            ctx.throw(400, err.message);
+        }
+
+        const app = await describeApp(appName)
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
 
-        const stdout = await readLogsReverse({ filePath: app.pm_out_log_path })
-        const stderr = await readLogsReverse({ filePath: app.pm_err_log_path })
+        const currentPath = logType === 'stdout' ? app.pm_out_log_path : app.pm_err_log_path
+        let filePath = currentPath
+        if (file && file !== path.basename(currentPath)) {
+            if (!canAccessApp(ctx.state.user, appName, 'control')) {
+                ctx.throw(403, 'Insufficient permissions for this app.');
+            }
+            // Only names listed next to the current log are accepted, never a path
+            const rotated = (await listLogFiles(currentPath)).find(entry => !entry.current && entry.name === file)
+            if (!rotated) {
+                ctx.throw(404, 'Log file not found');
+            }
+            filePath = path.join(path.dirname(currentPath), rotated.name)
+        }
 
-        stdout.lines = stdout.lines.map(log => ansiConvert.toHtml(log)).join('<br/>')
-        stderr.lines = stderr.lines.map(log => ansiConvert.toHtml(log)).join('<br/>')
+        let download
+        try {
+            download = createLogDownload({ filePath, ...range, gzip })
+        } catch (err) {
+            ctx.throw(400, err.message);
+        }
 
-        return await ctx.render('apps/app', {
-            app,
-            logs: {
-                stdout,
-                stderr
-            },
-            csrf: ctx.state._csrf
-        });
+        await recordAuditEvent({
+            actor: ctx.session.user.username,
+            action: 'logs.download',
+            target: appName,
+            details: { logType, file: path.basename(filePath), ...range, gzip },
+            ip: ctx.ip
+        })
+
+        ctx.set('Content-Disposition', `attachment; filename="${download.fileName.replace(/"/g, '')}"`);
+        ctx.type = gzip ? 'application/gzip' : 'text/plain; charset=utf-8';
+        ctx.body = download.stream;
     } catch (err) {
-        console.error('Failed to fetch app details:', err);
+        console.error('Failed to download logs:', err);
         throw err;
     }
 });
 
-router.get('/api/apps/:appName/logs/:logType', isAuthenticated, async (ctx) => {
+router.get('/api/apps/:appName/metrics', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
     try {
-        const { appName, logType } = ctx.params
-        const { linePerRequest, nextKey } = ctx.query
-
-        if (logType !== 'stdout' && logType !== 'stderr') {
-            ctx.throw(400, 'Log Type must be stdout or stderr');
-        }
+        const { appName } = ctx.params
 
-        if (!appName) {
-            ctx.throw(400, 'App name is required');
+        let from, to, step
+        try {
+            from = parseTimeParam(ctx.query.from, 'From')
+            to = parseTimeParam(ctx.query.to, 'To')
+            step = parseStep(ctx.query.step)
+        } catch (err) {
+            ctx.throw(400, err.message);
         }
 
         const app = await describeApp(appName)
@@ -116,19 +853,24 @@ router.get('/api/apps/:appName/logs/:logType', isAuthenticated, async (ctx) => {
             ctx.throw(404, 'App not found');
         }
 
-        const filePath = logType === 'stdout' ? app.pm_out_log_path : app.pm_err_log_path
-        let logs = await readLogsReverse({ filePath, nextKey })
-
-        logs.lines = logs.lines.map(log => ansiConvert.toHtml(log)).join('<br/>')
+        let metrics
+        try {
+            metrics = await queryMetrics(appName, { from, to, step })
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(400, err.message);
+        }
 
-        ctx.body = { logs };
+        ctx.body = { metrics };
     } catch (err) {
-        console.error('Failed to fetch logs:', err);
+        console.error('Failed to fetch metrics:', err);
         throw err;
     }
 });
 
-router.post('/api/apps/:appName/reload', isAuthenticated, requireRole('admin'), async (ctx) => {
+router.post('/api/apps/:appName/reload', isAuthenticated, auditAction('app.reload'), requireAppAccess('control'), validateRequest, async (ctx) => {
     try {
         const { appName } = ctx.params
 
@@ -149,7 +891,7 @@ router.post('/api/apps/:appName/reload', isAuthenticated, requireRole('admin'),
     }
 });
 
-router.post('/api/apps/:appName/restart', isAuthenticated, requireRole('admin'), async (ctx) => {
+router.post('/api/apps/:appName/restart', isAuthenticated, auditAction('app.restart'), requireAppAccess('control'), validateRequest, async (ctx) => {
     try {
         const { appName } = ctx.params
 
@@ -170,7 +912,7 @@ router.post('/api/apps/:appName/restart', isAuthenticated, requireRole('admin'),
     }
 });
 
-router.post('/api/apps/:appName/stop', isAuthenticated, requireRole('admin'), async (ctx) => {
+router.post('/api/apps/:appName/stop', isAuthenticated, auditAction('app.stop'), requireAppAccess('control'), validateRequest, async (ctx) => {
     try {
         const { appName } = ctx.params
 
@@ -191,7 +933,86 @@ router.post('/api/apps/:appName/stop', isAuthenticated, requireRole('admin'), as
     }
 });
 
-router.get('/api/apps/:appName/logs/:logType/stream', isAuthenticated, async (ctx) => {
+router.post('/api/apps/:appName/start', isAuthenticated, auditAction('app.start'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params
+
+        if (!appName) {
+            ctx.throw(400, 'App name is required');
+        }
+
+        const apps = await startApp(appName)
+
+        if (Array.isArray(apps) && apps.length > 0) {
+            ctx.body = { success: true }
+        } else {
+            ctx.body = { success: false, message: 'Failed to start app' }
+        }
+    } catch (err) {
+        console.error('Failed to start app:', err);
+        throw err;
+    }
+});
+
+router.post('/api/apps/:appName/delete', isAuthenticated, auditAction('app.delete'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params
+
+        if (!appName) {
+            ctx.throw(400, 'App name is required');
+        }
+
+        const apps = await deleteApp(appName)
+
+        if (Array.isArray(apps) && apps.length > 0) {
+            ctx.body = { success: true }
+        } else {
+            ctx.body = { success: false, message: 'Failed to delete app' }
+        }
+    } catch (err) {
+        console.error('Failed to delete app:', err);
+        throw err;
+    }
+});
+
+router.post('/api/apps/:appName/scale', isAuthenticated, auditAction('app.scale', { details: (ctx) => ({ instances: ctx.request.body?.instances }) }), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params
+        const instances = parseInt(ctx.request.body?.instances, 10)
+
+        if (!appName) {
+            ctx.throw(400, 'App name is required');
+        }
+
+        if (isNaN(instances) || instances < 1) {
+            ctx.throw(400, 'Instances must be a positive integer');
+        }
+
+        const app = await describeApp(appName)
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
+
+        if (app.exec_mode !== 'cluster_mode') {
+            ctx.throw(400, 'Only cluster mode apps can be scaled');
+        }
+
+        if (app.instances === instances) {
+            ctx.body = { success: false, message: `App is already running ${instances} instance${instances > 1 ? 's' : ''}` }
+            return
+        }
+
+        await scaleApp(appName, instances)
+
+        ctx.body = { success: true, instances }
+    } catch (err) {
+        console.error('Failed to scale app:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/logs/:logType/stream', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
     try {
         const { appName, logType } = ctx.params;
 
@@ -210,6 +1031,8 @@ router.get('/api/apps/:appName/logs/:logType/stream', isAuthenticated, async (ct
         }
 
         const filePath = logType === 'stdout' ? app.pm_out_log_path : app.pm_err_log_path;
+        // EventSource sends the id of the last received line when it reconnects, `<inode>:<offset>`
+        const lastEventId = /^(?:(\d+):)?(\d+)$/.exec(ctx.get('Last-Event-ID') || ctx.query.lastEventId || '');
 
         // Set SSE headers
         ctx.request.socket.setTimeout(0);
@@ -224,58 +1047,218 @@ router.get('/api/apps/:appName/logs/:logType/stream', isAuthenticated, async (ct
 
         ctx.status = 200;
 
-        // Import event-stream for tailing files
-        const { createRequire } = await import('module');
-        const require = createRequire(import.meta.url);
-        const es = require('event-stream');
-        const fs = require('fs-extra');
+        const stream = new PassThrough();
+        ctx.body = stream;
+        stream.write(`retry: 3000\n\n`);
 
-        const stream = fs.createReadStream(filePath, {
-            encoding: 'utf-8',
-            start: Math.max(0, (await fs.stat(filePath)).size - 10000) // Start from last 10KB
+        // A slow client holds up the tailer instead of having the whole backlog buffered
+        const drained = () => new Promise((resolve) => {
+            const done = () => {
+                stream.off('drain', done);
+                stream.off('close', done);
+                resolve();
+            };
+            stream.once('drain', done);
+            stream.once('close', done);
         });
 
-        // Set up the response stream
-        ctx.body = stream.pipe(es.split()).pipe(es.map((line, cb) => {
-            if (line) {
-                const html = ansiConvert.toHtml(line);
-                cb(null, `data: ${JSON.stringify({ line: html })}\n\n`);
-            } else {
-                cb();
-            }
-        }));
-
-        // Watch for new lines being appended to the file
-        const watcher = fs.watch(filePath, async (eventType) => {
-            if (eventType === 'change') {
-                // File changed, send a ping to keep connection alive
-                ctx.res.write(': ping\n\n');
-            }
-        });
+        let tail = null;
+        let closed = false;
+        const heartbeat = setInterval(() => {
+            stream.write(': ping\n\n');
+        }, config.DEFAULTS.LOG_STREAM_HEARTBEAT_INTERVAL);
 
         // Clean up on connection close
-        ctx.req.on('close', () => {
-            watcher.close();
-        });
+        const cleanup = () => {
+            closed = true;
+            clearInterval(heartbeat);
+            if (tail) {
+                tail.stop();
+            }
+            // Also ends a wait for drain, the client will not read what is left
+            stream.destroy();
+        };
+        ctx.res.once('close', cleanup);
+        stream.once('error', cleanup);
+
+        try {
+            tail = await tailLogFile({
+                filePath,
+                offset: lastEventId ? Number(lastEventId[2]) : null,
+                inode: lastEventId?.[1] ? Number(lastEventId[1]) : null,
+                onLine: (line, offset, inode) => {
+                    const html = renderLogLine(line);
+                    if (!stream.write(`id: ${inode}:${offset}\ndata: ${JSON.stringify({ line: html })}\n\n`) && !closed) {
+                        return drained();
+                    }
+                },
+                onTruncate: () => {
+                    stream.write(`event: truncate\ndata: {}\n\n`);
+                },
+                onError: (err) => {
+                    console.error('Failed to tail logs:', err);
+                }
+            });
+        } catch (err) {
+            cleanup();
+            throw err;
+        }
 
+        // The client may have gone away while the file was being opened
+        if (closed) {
+            tail.stop();
+        }
     } catch (err) {
         console.error('Failed to stream logs:', err);
         throw err;
     }
 });
 
-router.post('/api/apps/:appName/env', isAuthenticated, requireRole('admin'), async (ctx) => {
+// Users who can edit the .env file also get the secret values and the raw content, masked until they reveal them
+router.get('/api/apps/:appName/env', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
     try {
         const { appName } = ctx.params;
-        const { envContent } = ctx.request.body;
+        const app = await describeApp(appName);
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
+
+        const canEdit = canAccessApp(ctx.state.user, appName, 'control');
+        const content = await getEnvFileContent(app.pm2_env_cwd);
+        const { entries, errors } = parseEnvContent(content ?? '');
+
+        ctx.body = {
+            exists: content !== null,
+            canEdit,
+            entries: maskEnvEntries(entries, { reveal: canEdit }),
+            errors,
+            content: canEdit ? content : null
+        };
+    } catch (err) {
+        console.error('Failed to read env file:', err);
+        throw err;
+    }
+});
+
+// Saves either the entries of the editor or the raw content, both checked before anything is written
+// `restart` then restarts the app with the values of the file merged into its environment, like --update-env
+router.post('/api/apps/:appName/env', isAuthenticated, auditAction('env.update', { details: (ctx) => ({ restart: Boolean(ctx.request.body?.restart) }) }), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params;
+        const { envContent, entries, comment, restart } = ctx.request.body;
 
         if (!appName) {
             ctx.throw(400, 'App name is required');
         }
 
-        if (typeof envContent !== 'string') {
-            ctx.throw(400, 'Environment content must be a string');
+        const app = await describeApp(appName);
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
+
+        const { content, errors } = entries
+            ? serializeEnvEntries(entries)
+            : { content: envContent, errors: parseEnvContent(envContent).errors };
+
+        if (errors.length > 0) {
+            ctx.body = { success: false, message: `The .env file is invalid: ${errors[0]}`, errors };
+            return;
+        }
+
+        const version = await saveEnvFile(app, content, { author: ctx.state.user.username, comment });
+
+        if (restart) {
+            try {
+                await restartAppWithEnv(appName, getEnvValues(content));
+            } catch (err) {
+                ctx.body = { success: false, message: `Saved as version ${version.version}, but the restart failed: ${err.message}`, version };
+                return;
+            }
+        }
+
+        ctx.body = { success: true, message: restart ? 'Environment file saved and app restarted' : 'Environment file saved successfully', version };
+    } catch (err) {
+        console.error('Failed to save env file:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+// The environment PM2 gives the process, compared with the .env file to show what a restart would change
+router.get('/api/apps/:appName/env/process', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params;
+        const app = await describeApp(appName);
+
+        if (!app) {
+            ctx.throw(404, 'App not found');
+        }
+
+        const canEdit = canAccessApp(ctx.state.user, appName, 'control');
+        const [processEnv, content] = await Promise.all([getAppEnv(appName), getEnvFileContent(app.pm2_env_cwd)]);
+        // A file with errors has no reliable values to compare
+        const fileValues = content !== null && parseEnvContent(content).errors.length === 0 ? getEnvValues(content) : {};
+
+        ctx.body = { canEdit, variables: describeProcessEnv(processEnv ?? {}, fileValues, { reveal: canEdit }) };
+    } catch (err) {
+        console.error('Failed to read process env:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/env/history', isAuthenticated, requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        ctx.body = { versions: await listEnvVersions(ctx.params.appName) };
+    } catch (err) {
+        console.error('Failed to read env history:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/env/history/:version', isAuthenticated, requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        let version
+        try {
+            version = await getEnvVersion(ctx.params.appName, parseInt(ctx.params.version, 10))
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(404, err.message);
+        }
+
+        ctx.body = { version };
+    } catch (err) {
+        console.error('Failed to read env version:', err);
+        throw err;
+    }
+});
+
+router.get('/api/apps/:appName/env/diff', isAuthenticated, requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const from = parseInt(ctx.query.from, 10)
+        const to = ctx.query.to ? parseInt(ctx.query.to, 10) : null
+
+        try {
+            ctx.body = await diffEnvVersions(ctx.params.appName, from, to);
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(404, err.message);
         }
+    } catch (err) {
+        console.error('Failed to diff env versions:', err);
+        throw err;
+    }
+});
+
+// Rollback writes the old content as a new version, the restart passes its values to the process like --update-env
+router.post('/api/apps/:appName/env/rollback', isAuthenticated, auditAction('env.rollback', { details: (ctx) => ({ version: ctx.request.body?.version, restart: Boolean(ctx.request.body?.restart) }) }), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params;
+        const { version, restart } = ctx.request.body;
 
         const app = await describeApp(appName);
 
@@ -283,17 +1266,25 @@ router.post('/api/apps/:appName/env', isAuthenticated, requireRole('admin'), asy
             ctx.throw(404, 'App not found');
         }
 
-        // Save the env file with raw content (preserves comments and formatting)
-        await writeEnvFileContent(app.pm2_env_cwd, envContent);
+        const saved = await rollbackEnvFile(app, version, { author: ctx.state.user.username });
+
+        if (restart) {
+            await restartAppWithEnv(appName, getEnvValues(saved.content));
+        }
 
-        ctx.body = { success: true, message: 'Environment file saved successfully' };
+        const { content, ...savedVersion } = saved;
+        ctx.body = {
+            success: true,
+            message: `Rolled back to version ${version}${restart ? ' and restarted' : ''}`,
+            version: savedVersion
+        };
     } catch (err) {
-        console.error('Failed to save env file:', err);
+        console.error('Failed to roll back env file:', err);
         ctx.body = { success: false, message: err.message };
     }
 });
 
-router.get('/api/apps/:appName/git/check-updates', isAuthenticated, async (ctx) => {
+router.get('/api/apps/:appName/git/check-updates', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
     try {
         const { appName } = ctx.params;
 
@@ -315,7 +1306,7 @@ router.get('/api/apps/:appName/git/check-updates', isAuthenticated, async (ctx)
     }
 });
 
-router.post('/api/apps/:appName/git/pull', isAuthenticated, requireRole('admin'), async (ctx) => {
+router.post('/api/apps/:appName/git/pull', isAuthenticated, auditAction('git.pull'), requireAppAccess('control'), validateRequest, async (ctx) => {
     try {
         const { appName } = ctx.params;
 
@@ -354,7 +1345,201 @@ router.post('/api/apps/:appName/git/pull', isAuthenticated, requireRole('admin')
     }
 });
 
-router.post('/api/apps/:appName/logs/clear', isAuthenticated, requireRole('admin'), async (ctx) => {
+// Release management on the working tree of an app: admin only, switching changes the code the app runs
+const describeGitApp = async (ctx) => {
+    const app = await describeApp(ctx.params.appName);
+
+    if (!app) {
+        ctx.throw(404, 'App not found');
+    }
+    return app;
+};
+
+router.get('/api/apps/:appName/git/refs', isAuthenticated, requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await describeGitApp(ctx);
+        const [refs, branch, commit] = await Promise.all([
+            listGitRefs(app.pm2_env_cwd),
+            getCurrentGitBranch(app.pm2_env_cwd),
+            getCurrentGitCommit(app.pm2_env_cwd)
+        ]);
+
+        ctx.body = { success: true, branch: branch === 'HEAD' ? null : branch, commit, ...refs };
+    } catch (err) {
+        console.error('Failed to list git refs:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.get('/api/apps/:appName/git/log', isAuthenticated, requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await describeGitApp(ctx);
+        const { ref, limit } = ctx.query;
+        const commits = await getGitLog(app.pm2_env_cwd, {
+            ref: ref || 'HEAD',
+            limit: parseInt(limit) || config.DEFAULTS.GIT_LOG_DEFAULT_COMMITS
+        });
+
+        ctx.body = { success: true, commits };
+    } catch (err) {
+        console.error('Failed to read git log:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.get('/api/apps/:appName/git/incoming', isAuthenticated, requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await describeGitApp(ctx);
+        const incoming = await getIncomingCommits(app.pm2_env_cwd, { limit: parseInt(ctx.query.limit) || config.DEFAULTS.GIT_LOG_DEFAULT_COMMITS });
+
+        ctx.body = { success: true, ...incoming };
+    } catch (err) {
+        console.error('Failed to list incoming commits:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.post('/api/apps/:appName/git/checkout', isAuthenticated, auditAction('git.checkout', { details: (ctx) => ({ ref: ctx.request.body?.ref }) }), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await describeGitApp(ctx);
+
+        ctx.body = await checkoutGitRef(app.pm2_env_cwd, ctx.request.body.ref);
+    } catch (err) {
+        console.error('Failed to switch git ref:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+// Deploy pipeline: admin only like git, it runs the install and build scripts of the app
+router.get('/api/apps/:appName/deploys', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const app = await describeGitApp(ctx);
+        const [settings, deploys] = await Promise.all([getDeploySettings(app.name), listDeploys(app.name)]);
+
+        ctx.body = { success: true, settings, deploys };
+    } catch (err) {
+        console.error('Failed to list deploys:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.post('/api/apps/:appName/deploy/settings', isAuthenticated, auditAction('deploy.settings', { details: (ctx) => pickDeploySettings(ctx.request.body) }), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await describeGitApp(ctx);
+        const settings = await updateDeploySettings(app.name, ctx.request.body);
+
+        ctx.body = { success: true, settings };
+    } catch (err) {
+        console.error('Failed to save deploy settings:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.post('/api/apps/:appName/deploy', isAuthenticated, auditAction('deploy.start'), requireAppAccess('control'), validateRequest, async (ctx) => {
+    try {
+        const app = await describeGitApp(ctx);
+        const deploy = await startDeploy(app, { author: ctx.state.user.username });
+
+        ctx.body = { success: true, message: `Deploy #${deploy.id} started`, deploy };
+    } catch (err) {
+        console.error('Failed to start deploy:', err);
+        ctx.body = { success: false, message: err.message };
+    }
+});
+
+router.get('/api/apps/:appName/deploys/:id', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        let deploy
+        try {
+            deploy = await getDeploy(ctx.params.appName, parseInt(ctx.params.id, 10))
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(404, err.message);
+        }
+
+        ctx.body = { deploy };
+    } catch (err) {
+        console.error('Failed to read deploy:', err);
+        throw err;
+    }
+});
+
+// Steps and output of a running deploy as server-sent events, ends with a `done` event
+router.get('/api/apps/:appName/deploys/:id/stream', isAuthenticated, requireAppAccess('view'), validateRequest, async (ctx) => {
+    try {
+        const { appName } = ctx.params;
+        const id = parseInt(ctx.params.id, 10);
+        // EventSource sends the index of the last received event when it reconnects
+        const lastEventId = parseInt(ctx.get('Last-Event-ID') || ctx.query.lastEventId, 10);
+
+        try {
+            await getDeploy(appName, id);
+        } catch (err) {
+            if (err.code) {
+                throw err;
+            }
+            ctx.throw(404, err.message);
+        }
+
+        ctx.request.socket.setTimeout(0);
+        ctx.req.socket.setNoDelay(true);
+        ctx.req.socket.setKeepAlive(true);
+        ctx.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        ctx.status = 200;
+
+        const stream = new PassThrough();
+        ctx.body = stream;
+        stream.write(`retry: 3000\n\n`);
+
+        let unsubscribe = null;
+        let closed = false;
+        const heartbeat = setInterval(() => {
+            stream.write(': ping\n\n');
+        }, config.DEFAULTS.LOG_STREAM_HEARTBEAT_INTERVAL);
+
+        const cleanup = () => {
+            closed = true;
+            clearInterval(heartbeat);
+            if (unsubscribe) {
+                unsubscribe();
+            }
+            stream.end();
+        };
+        ctx.res.once('close', cleanup);
+        stream.once('error', cleanup);
+
+        const send = (event, index) => {
+            if (closed) {
+                return;
+            }
+            stream.write(`id: ${index}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            if (event.type === 'done') {
+                cleanup();
+            }
+        };
+
+        unsubscribe = subscribeToDeploy(appName, id, isNaN(lastEventId) ? -1 : lastEventId, send);
+        if (!unsubscribe) {
+            // Already finished, the client reads the output from the deploy record
+            send({ type: 'done', deploy: await getDeploy(appName, id) }, isNaN(lastEventId) ? 0 : lastEventId + 1);
+        } else if (closed) {
+            unsubscribe();
+        }
+    } catch (err) {
+        console.error('Failed to stream deploy:', err);
+        throw err;
+    }
+});
+
+router.post('/api/apps/:appName/logs/clear', isAuthenticated, auditAction('logs.clear'), requireAppAccess('control'), validateRequest, async (ctx) => {
     try {
         const { appName } = ctx.params;
 
@@ -1,14 +1,17 @@
 import config from '../config/index.js';
 import { setEnvDataSync } from '../utils/env.util.js';
 import { hashPasswordSync, comparePassword } from '../utils/password.util.js';
-import { validateUser, migrateAdminUser } from './user.service.js';
+import { INVALID_CREDENTIALS_MESSAGE, validateUser, getUserByUsername, migrateAdminUser, restoreAdminUser } from './user.service.js';
 
-const createAdminUser = (username, password) => {
+// `totp` from createTotpSettings enables two-factor for the admin, without it two-factor is turned off
+const createAdminUser = async (username, password, totp = null) => {
     const adminUser = {
         APP_USERNAME: username,
         APP_PASSWORD: hashPasswordSync(password)
     }
     setEnvDataSync(config.APP_DIR, adminUser)
+    // users.json takes precedence once the admin is migrated, so it is the recovery path too
+    await restoreAdminUser(adminUser.APP_USERNAME, adminUser.APP_PASSWORD, totp)
 }
 
 const validateAdminUser = async (username, password) => {
@@ -17,13 +20,14 @@ const validateAdminUser = async (username, password) => {
         const user = await validateUser(username, password);
         return user;
     } catch (err) {
-        // Fallback to old single admin user from .env
-        if (username !== config.APP_USERNAME) {
-            throw new Error('User does not exist')
+        // Fallback to old single admin user from .env, only until it is migrated
+        // so a disabled account or a changed password cannot be bypassed
+        if (username !== config.APP_USERNAME || await getUserByUsername(username)) {
+            throw err
         }
         const isPasswordCorrect = await comparePassword(password, config.APP_PASSWORD)
         if (!isPasswordCorrect) {
-            throw new Error('Password is incorrect')
+            throw new Error(INVALID_CREDENTIALS_MESSAGE)
         }
 
         // Migrate old admin user to new system
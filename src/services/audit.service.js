@@ -0,0 +1,117 @@
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const AUDIT_FILE = path.join(__dirname, '../config/audit.log');
+
+/**
+ * Audit trail: one JSON object per line, only ever appended to
+ * Events: { timestamp, actor, source, action, target, outcome, error, details, ip }
+ * - actor: web/API username, or `telegram:<user id>` for the bot
+ * - source: web, api (API token) or telegram
+ * - outcome: success or failure (`error` holds the reason)
+ */
+const AUDIT_SOURCES = ['web', 'api', 'telegram'];
+const AUDIT_OUTCOMES = ['success', 'failure'];
+const AUDIT_CSV_FIELDS = ['timestamp', 'actor', 'source', 'action', 'target', 'outcome', 'error', 'ip', 'details'];
+
+// Record who did what, from where, and whether it worked
+async function recordAuditEvent({ actor, action, target = null, details = {}, ip = null, source = 'web', outcome = 'success', error = null }) {
+    const event = {
+        timestamp: new Date().toISOString(),
+        actor,
+        source,
+        action,
+        target,
+        outcome,
+        error,
+        details,
+        ip
+    };
+    await fs.ensureFile(AUDIT_FILE);
+    await fs.appendFile(AUDIT_FILE, JSON.stringify(event) + '\n', 'utf-8');
+    return event;
+}
+
+// `action` ending with `*` matches a prefix, e.g. `app.*`
+const createEventFilter = ({ from = null, to = null, actor = null, action = null, target = null, source = null, outcome = null }) => {
+    const matchesAction = !action ? () => true
+        : action.endsWith('*') ? (value) => value.startsWith(action.slice(0, -1))
+        : (value) => value === action;
+
+    return (event) => {
+        const time = Date.parse(event.timestamp);
+        return (from === null || time >= from)
+            && (to === null || time <= to)
+            && (!actor || event.actor === actor)
+            && matchesAction(event.action)
+            && (!target || event.target === target)
+            && (!source || (event.source || 'web') === source)
+            && (!outcome || (event.outcome || 'success') === outcome);
+    };
+};
+
+/**
+ * Events matching the filters, newest first
+ * Only the `offset + limit` newest matches are kept in memory while the log is read.
+ */
+async function queryAuditEvents({ limit = 100, offset = 0, ...filters } = {}) {
+    const matches = createEventFilter(filters);
+    const keep = offset + limit;
+    let newest = [];
+    let total = 0;
+
+    if (await fs.pathExists(AUDIT_FILE)) {
+        const lines = readline.createInterface({ input: fs.createReadStream(AUDIT_FILE), crlfDelay: Infinity });
+        for await (const line of lines) {
+            if (!line) {
+                continue;
+            }
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch (err) {
+                // Line cut short by a crash
+                continue;
+            }
+            if (!matches(event)) {
+                continue;
+            }
+            total++;
+            newest.push(event);
+            if (newest.length > keep * 2) {
+                newest = newest.slice(-keep);
+            }
+        }
+    }
+
+    const events = newest.slice(-keep).reverse().slice(offset, offset + limit);
+    return { events, total, limit, offset };
+}
+
+// Quote CSV cells, and keep spreadsheets from running cells as formulas
+const csvCell = (value) => {
+    let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+function formatAuditCsv(events) {
+    return [
+        AUDIT_CSV_FIELDS.join(','),
+        ...events.map(event => AUDIT_CSV_FIELDS.map(field => csvCell(event[field])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+export {
+    AUDIT_SOURCES,
+    AUDIT_OUTCOMES,
+    recordAuditEvent,
+    queryAuditEvents,
+    formatAuditCsv
+};
@@ -0,0 +1,560 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import { execa } from 'execa';
+import config from '../config/index.js';
+import { listApps, reloadApp, restartApp, getAppEnv } from '../providers/pm2/api.js';
+import { getCurrentGitBranch, getCurrentGitCommit, getUncommittedChanges, getChangedFiles, pullUpdates, resetToCommit } from '../utils/git.util.js';
+import { createKeyedLock } from '../utils/lock.util.js';
+import { recordAuditEvent } from './audit.service.js';
+import { alertDeployFailed } from './telegram.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEPLOYS_DIR = path.join(__dirname, '../config/deploys');
+
+const {
+    DEPLOY_HISTORY_MAX,
+    DEPLOY_STEP_TIMEOUT,
+    DEPLOY_STEP_OUTPUT_MAX_LENGTH,
+    DEPLOY_HEALTH_CHECK_TIMEOUT,
+    DEPLOY_HEALTH_CHECK_INTERVAL
+} = config.DEFAULTS;
+
+/**
+ * Deploy pipeline of an app: pull → install → build → reload → health check
+ * When a step after the pull fails, the previous commit is checked out again and installed,
+ * built and reloaded the same way, so the app runs the code it ran before the deploy.
+ *
+ * Store: one JSON file per app, `{ settings, deploys: [...] }`, deploys oldest first:
+ * { id, status, author, source, branch, fromCommit, toCommit, startedAt, finishedAt, error, steps }
+ * - status: running, success, failed (nothing rolled back), rolled_back, rollback_failed,
+ *   interrupted (PM2 WebUI stopped during the deploy)
+ * - steps: { name, phase (deploy or rollback), status (running, success, failed, skipped), startedAt, finishedAt, output }
+ */
+const DEPLOY_INSTALL_MODES = ['auto', 'always', 'never'];
+const DEPLOY_RELOAD_MODES = ['reload', 'restart', 'none'];
+const DEPLOY_STATUSES = ['running', 'success', 'failed', 'rolled_back', 'rollback_failed', 'interrupted'];
+
+const DEFAULT_DEPLOY_SETTINGS = {
+    // auto: when the lockfile or package.json changed, or node_modules is missing
+    install: 'auto',
+    // package.json script run after the install, none when null
+    buildScript: null,
+    reloadMode: 'reload',
+    // Seconds the process must stay online without restarting after the reload
+    healthCheckDelay: 10,
+    // Also wait for this URL to answer 2xx or 3xx
+    healthCheckUrl: null,
+    rollback: true
+};
+const DEPLOY_SETTING_KEYS = Object.keys(DEFAULT_DEPLOY_SETTINGS);
+
+// Lockfile of each package manager, the first one found in the app directory is used
+const PACKAGE_MANAGERS = [
+    { lockfile: 'package-lock.json', install: ['npm', 'ci'], run: ['npm', 'run'] },
+    { lockfile: 'npm-shrinkwrap.json', install: ['npm', 'ci'], run: ['npm', 'run'] },
+    { lockfile: 'yarn.lock', install: ['yarn', 'install', '--frozen-lockfile'], run: ['yarn', 'run'] },
+    { lockfile: 'pnpm-lock.yaml', install: ['pnpm', 'install', '--frozen-lockfile'], run: ['pnpm', 'run'] }
+];
+const NO_LOCKFILE = { lockfile: null, install: ['npm', 'install'], run: ['npm', 'run'] };
+
+const storeFile = (appName) => path.join(DEPLOYS_DIR, `${encodeURIComponent(appName)}.json`);
+
+// Settings changes and deploy records of an app are written one after the other
+const withAppLock = createKeyedLock();
+
+/**
+ * Running deploys by app name: { deploy, events, emitter, pulled, done }
+ * - events are kept for late subscribers
+ * - pulled / done: whether the pull ran and which steps ran, to know what the rollback has to undo
+ */
+const runs = new Map();
+
+async function readStore(appName) {
+    const filePath = storeFile(appName);
+    const data = await fs.pathExists(filePath) ? await fs.readJson(filePath) : {};
+    return {
+        settings: { ...DEFAULT_DEPLOY_SETTINGS, ...data.settings },
+        deploys: Array.isArray(data.deploys) ? data.deploys : []
+    };
+}
+
+async function writeStore(appName, { settings, deploys }) {
+    await fs.ensureDir(DEPLOYS_DIR);
+    await fs.writeJson(storeFile(appName), { settings, deploys: deploys.slice(-DEPLOY_HISTORY_MAX) }, { spaces: 2 });
+}
+
+// Add the deploy to the store, or replace its record
+const saveDeploy = (appName, deploy) => withAppLock(appName, async () => {
+    const store = await readStore(appName);
+    const index = store.deploys.findIndex(entry => entry.id === deploy.id);
+    if (index === -1) {
+        store.deploys.push(deploy);
+    } else {
+        store.deploys[index] = deploy;
+    }
+    await writeStore(appName, store);
+});
+
+// Deploy without the step output, `run` is the running deploy of the app if any
+const toDeployInfo = (deploy, run) => ({
+    ...deploy,
+    // A deploy still marked running in the store was cut short by a restart of PM2 WebUI
+    status: deploy.status === 'running' && run?.deploy?.id !== deploy.id ? 'interrupted' : deploy.status,
+    steps: deploy.steps.map(({ output, ...step }) => step)
+});
+
+// The server fetches the health check URL itself, so it may only point to this host
+const isLoopbackUrl = (value) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return false;
+    }
+    return ['http:', 'https:'].includes(url.protocol)
+        && (url.hostname === 'localhost' || url.hostname === '[::1]' || /^127(\.\d+){3}$/.test(url.hostname));
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function getDeploySettings(appName) {
+    return (await readStore(appName)).settings;
+}
+
+// Known settings of a request body, e.g. for the audit log
+const pickDeploySettings = (body) => body && typeof body === 'object'
+    ? Object.fromEntries(DEPLOY_SETTING_KEYS.filter(key => Object.hasOwn(body, key)).map(key => [key, body[key]]))
+    : {};
+
+// Merge changes into the settings of an app, unknown values are refused
+function updateDeploySettings(appName, changes) {
+    return withAppLock(appName, async () => {
+        const store = await readStore(appName);
+        const settings = { ...store.settings, ...changes };
+
+        if (!DEPLOY_INSTALL_MODES.includes(settings.install)) {
+            throw new Error(`Install must be one of ${DEPLOY_INSTALL_MODES.join(', ')}`);
+        }
+        if (!DEPLOY_RELOAD_MODES.includes(settings.reloadMode)) {
+            throw new Error(`Reload mode must be one of ${DEPLOY_RELOAD_MODES.join(', ')}`);
+        }
+        if (settings.buildScript !== null && !/^[\w:.-]+$/.test(settings.buildScript)) {
+            throw new Error('Build script must be the name of a package.json script');
+        }
+        if (settings.healthCheckUrl !== null && !isLoopbackUrl(settings.healthCheckUrl)) {
+            throw new Error('Health check URL must be an http:// or https:// URL on localhost, 127.x.x.x or [::1]');
+        }
+        if (!Number.isInteger(settings.healthCheckDelay) || settings.healthCheckDelay < 0) {
+            throw new Error('Health check delay must be a number of seconds');
+        }
+
+        store.settings = Object.fromEntries(DEPLOY_SETTING_KEYS.map(key => [key, settings[key]]));
+        await writeStore(appName, store);
+        return store.settings;
+    });
+}
+
+// Deploys of an app, newest first, without the step output
+async function listDeploys(appName) {
+    const { deploys } = await readStore(appName);
+    const running = runs.get(appName);
+    return deploys.map(deploy => toDeployInfo(deploy, running)).reverse();
+}
+
+// One deploy with the output of its steps, the running one as it is now
+async function getDeploy(appName, id) {
+    const running = runs.get(appName);
+    if (running?.deploy?.id === id) {
+        return running.deploy;
+    }
+
+    const { deploys } = await readStore(appName);
+    const deploy = deploys.find(entry => entry.id === id);
+    if (!deploy) {
+        throw new Error(`Deploy ${id} not found`);
+    }
+    return { ...deploy, status: toDeployInfo(deploy, running).status };
+}
+
+/**
+ * Events of a running deploy from `after` (index of the last one received, -1 for all), then the next ones:
+ * { type: 'step', index, step }, { type: 'output', index, text } and { type: 'done', deploy } last.
+ * Returns the unsubscribe function, or null when the deploy is not running.
+ */
+function subscribeToDeploy(appName, id, after, listener) {
+    const run = runs.get(appName);
+    if (!run || run.deploy?.id !== id) {
+        return null;
+    }
+    run.events.slice(after + 1).forEach((event, offset) => listener(event, after + 1 + offset));
+    run.emitter.on('event', listener);
+    return () => run.emitter.off('event', listener);
+}
+
+const emit = (run, event) => {
+    run.events.push(event);
+    run.emitter.emit('event', event, run.events.length - 1);
+};
+
+// Run a step, `task` gets a log function and returns a reason when it had nothing to do
+async function runStep(run, name, phase, task) {
+    const { deploy } = run;
+    const index = deploy.steps.length;
+    const step = { name, phase, status: 'running', startedAt: new Date().toISOString(), finishedAt: null, output: '' };
+    deploy.steps.push(step);
+    emit(run, { type: 'step', index, step: { ...step, output: undefined } });
+
+    const log = (text) => {
+        const room = DEPLOY_STEP_OUTPUT_MAX_LENGTH - step.output.length;
+        if (room <= 0) {
+            return;
+        }
+        const chunk = text.length > room ? `${text.slice(0, room)}\n[output truncated]\n` : text;
+        step.output += chunk;
+        emit(run, { type: 'output', index, text: chunk });
+    };
+
+    try {
+        const skipped = await task(log);
+        if (skipped) {
+            log(`${skipped}\n`);
+        }
+        step.status = skipped ? 'skipped' : 'success';
+    } catch (err) {
+        log(`${err.shortMessage || err.message}\n`);
+        step.status = 'failed';
+        throw err;
+    } finally {
+        step.finishedAt = new Date().toISOString();
+        emit(run, { type: 'step', index, step: { ...step, output: undefined } });
+    }
+}
+
+// Commands get the environment of the app process, not the one of PM2 WebUI with its secrets
+const getCommandEnv = async (appName) => ({
+    PATH: process.env.PATH,
+    HOME: process.env.HOME,
+    ...await getAppEnv(appName)
+});
+
+async function runCommand(cwd, env, [command, ...args], log) {
+    log(`$ ${[command, ...args].join(' ')}\n`);
+    const subprocess = execa(command, args, {
+        cwd,
+        env,
+        extendEnv: false,
+        stdin: 'ignore',
+        all: true,
+        buffer: false,
+        timeout: DEPLOY_STEP_TIMEOUT
+    });
+    subprocess.all.on('data', chunk => log(chunk.toString()));
+    await subprocess;
+}
+
+async function detectPackageManager(cwd) {
+    for (const manager of PACKAGE_MANAGERS) {
+        if (await fs.pathExists(path.join(cwd, manager.lockfile))) {
+            return manager;
+        }
+    }
+    return NO_LOCKFILE;
+}
+
+async function readPackageScripts(cwd) {
+    const filePath = path.join(cwd, 'package.json');
+    return await fs.pathExists(filePath) ? (await fs.readJson(filePath)).scripts ?? {} : null;
+}
+
+// Why the install can be skipped, nothing when it has to run
+async function getInstallSkipReason(cwd, { mode, fromCommit, toCommit }) {
+    if (mode === 'never') {
+        return 'Install is turned off';
+    }
+    if (await readPackageScripts(cwd) === null) {
+        return 'No package.json';
+    }
+    if (mode === 'auto' && await fs.pathExists(path.join(cwd, 'node_modules'))) {
+        const { lockfile } = await detectPackageManager(cwd);
+        const changed = fromCommit === toCommit ? [] : await getChangedFiles(cwd, fromCommit, toCommit);
+        if (!changed.some(file => file === 'package.json' || file === lockfile)) {
+            return `${lockfile ?? 'package.json'} did not change`;
+        }
+    }
+    return null;
+}
+
+async function installDependencies(cwd, env, log) {
+    await runCommand(cwd, env, (await detectPackageManager(cwd)).install, log);
+}
+
+async function runBuildScript(cwd, env, log, buildScript) {
+    const manager = await detectPackageManager(cwd);
+    await runCommand(cwd, env, [...manager.run, buildScript], log);
+}
+
+const getInstances = async (appName) => (await listApps()).filter(app => app.name === appName);
+
+async function reloadProcess(appName, reloadMode, log) {
+    log(`pm2 ${reloadMode} ${appName}\n`);
+    await (reloadMode === 'restart' ? restartApp : reloadApp)(appName);
+}
+
+// The process must stay online without restarting, then answer on the health check URL
+async function checkHealth(appName, settings, log) {
+    const before = await getInstances(appName);
+    log(`Waiting ${settings.healthCheckDelay}s for ${before.length} instance${before.length === 1 ? '' : 's'} to stay online\n`);
+    await sleep(settings.healthCheckDelay * 1000);
+
+    const after = await getInstances(appName);
+    const unhealthy = before.filter(instance => {
+        const current = after.find(entry => entry.pm_id === instance.pm_id);
+        return !current || current.status !== 'online' || current.restart_time !== instance.restart_time;
+    });
+    if (unhealthy.length > 0) {
+        throw new Error(`${unhealthy.length} instance${unhealthy.length === 1 ? '' : 's'} crashed or restarted after the reload`);
+    }
+
+    if (!settings.healthCheckUrl) {
+        return;
+    }
+    // Settings saved before the URL was limited to this host are not fetched
+    if (!isLoopbackUrl(settings.healthCheckUrl)) {
+        throw new Error('Health check URL must be on localhost, 127.x.x.x or [::1]');
+    }
+
+    const deadline = Date.now() + DEPLOY_HEALTH_CHECK_TIMEOUT;
+    let lastError = null;
+    while (Date.now() < deadline) {
+        try {
+            const response = await fetch(settings.healthCheckUrl, { redirect: 'manual', signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1)) });
+            if (response.status < 400) {
+                log(`${settings.healthCheckUrl} answered ${response.status}\n`);
+                return;
+            }
+            lastError = `answered ${response.status}`;
+        } catch (err) {
+            lastError = err.cause?.message || err.message;
+        }
+        await sleep(DEPLOY_HEALTH_CHECK_INTERVAL);
+    }
+    throw new Error(`${settings.healthCheckUrl} is not healthy: ${lastError}`);
+}
+
+async function runPipeline(run, app, settings) {
+    const { deploy, done } = run;
+    const cwd = app.pm2_env_cwd;
+    const env = await getCommandEnv(app.name);
+    const running = app.status === 'online';
+
+    await runStep(run, 'pull', 'deploy', async (log) => {
+        const changes = await getUncommittedChanges(cwd);
+        if (changes) {
+            throw new Error(`The working tree has uncommitted changes:\n${changes}`);
+        }
+        run.pulled = true;
+        const result = await pullUpdates(cwd);
+        if (result.output) {
+            log(`${result.output}\n`);
+        }
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        deploy.toCommit = await getCurrentGitCommit(cwd);
+        log(deploy.toCommit === deploy.fromCommit ? `Already at ${deploy.toCommit}\n` : `${deploy.fromCommit} → ${deploy.toCommit}\n`);
+    });
+
+    await runStep(run, 'install', 'deploy', async (log) => {
+        const skipped = await getInstallSkipReason(cwd, { mode: settings.install, fromCommit: deploy.fromCommit, toCommit: deploy.toCommit });
+        if (skipped) {
+            return skipped;
+        }
+        done.install = true;
+        await installDependencies(cwd, env, log);
+    });
+
+    await runStep(run, 'build', 'deploy', async (log) => {
+        if (!settings.buildScript) {
+            return 'No build script';
+        }
+        if (!(await readPackageScripts(cwd))?.[settings.buildScript]) {
+            throw new Error(`Script ${settings.buildScript} not found in package.json`);
+        }
+        done.build = true;
+        await runBuildScript(cwd, env, log, settings.buildScript);
+    });
+
+    await runStep(run, 'reload', 'deploy', async (log) => {
+        if (settings.reloadMode === 'none') {
+            return 'Reload is turned off, the new code runs after the next restart';
+        }
+        if (!running) {
+            return 'The app is not running, the new code runs when it is started';
+        }
+        done.reload = true;
+        await reloadProcess(app.name, settings.reloadMode, log);
+    });
+
+    await runStep(run, 'health', 'deploy', (log) => {
+        if (!done.reload) {
+            return 'The app was not reloaded';
+        }
+        return checkHealth(app.name, settings, log);
+    });
+}
+
+// Check out the previous commit and run the steps the deploy ran again
+async function runRollback(run, app, settings) {
+    const { deploy, done } = run;
+    const cwd = app.pm2_env_cwd;
+    const env = await getCommandEnv(app.name);
+
+    await runStep(run, 'checkout', 'rollback', async (log) => {
+        log(`${await resetToCommit(cwd, deploy.fromCommit)}\n`);
+    });
+    if (done.install) {
+        await runStep(run, 'install', 'rollback', (log) => installDependencies(cwd, env, log));
+    }
+    if (done.build) {
+        await runStep(run, 'build', 'rollback', async (log) => {
+            if (!(await readPackageScripts(cwd))?.[settings.buildScript]) {
+                return `No ${settings.buildScript} script at ${deploy.fromCommit}`;
+            }
+            await runBuildScript(cwd, env, log, settings.buildScript);
+        });
+    }
+    if (done.reload) {
+        await runStep(run, 'reload', 'rollback', (log) => reloadProcess(app.name, settings.reloadMode, log));
+    }
+}
+
+// Whether the pull left the code of the app different from the commit the deploy started from
+async function codeChanged(run, cwd) {
+    const commit = await getCurrentGitCommit(cwd);
+    if (!commit) {
+        throw new Error('Unable to read the current commit');
+    }
+    return commit !== run.deploy.fromCommit || Boolean(await getUncommittedChanges(cwd));
+}
+
+// Status of a failed deploy, after rolling it back when there is something to undo
+async function rollBackFailedDeploy(run, app, settings) {
+    // Nothing to undo when the pull did not run or left the code as it was
+    if (!settings.rollback || !run.pulled) {
+        return 'failed';
+    }
+    try {
+        if (!await codeChanged(run, app.pm2_env_cwd)) {
+            return 'failed';
+        }
+    } catch (err) {
+        console.error('Failed to check the code of a failed deploy:', err);
+        return 'failed';
+    }
+
+    try {
+        await runRollback(run, app, settings);
+        return 'rolled_back';
+    } catch (rollbackError) {
+        return 'rollback_failed';
+    }
+}
+
+async function runDeploy(run, app, settings) {
+    const { deploy } = run;
+
+    try {
+        await runPipeline(run, app, settings);
+        deploy.status = 'success';
+    } catch (err) {
+        deploy.error = err.message;
+        deploy.status = await rollBackFailedDeploy(run, app, settings);
+    } finally {
+        if (deploy.status === 'running') {
+            deploy.status = 'failed';
+        }
+        deploy.finishedAt = new Date().toISOString();
+
+        // Subscribers are told the deploy is over even when its record could not be saved
+        await saveDeploy(app.name, deploy).catch(err => console.error('Failed to save deploy:', err));
+        emit(run, { type: 'done', deploy: toDeployInfo(deploy, run) });
+        runs.delete(app.name);
+    }
+
+    await recordAuditEvent({
+        actor: deploy.author,
+        source: deploy.source,
+        action: 'deploy.finish',
+        target: app.name,
+        outcome: deploy.status === 'success' ? 'success' : 'failure',
+        error: deploy.error,
+        details: { id: deploy.id, status: deploy.status, fromCommit: deploy.fromCommit, toCommit: deploy.toCommit }
+    });
+    if (deploy.status !== 'success') {
+        await alertDeployFailed({ appName: app.name, ...deploy });
+    }
+}
+
+/**
+ * Start a deploy of the app in the background, one at a time per app
+ * Returns the new deploy, its progress is followed with subscribeToDeploy.
+ */
+async function startDeploy(app, { author, source = 'web' }) {
+    if (runs.has(app.name)) {
+        throw new Error('A deploy of this app is already running');
+    }
+    // Reserved before anything is awaited, so two requests cannot both start
+    const run = { deploy: null, events: [], emitter: new EventEmitter(), pulled: false, done: { install: false, build: false, reload: false } };
+    runs.set(app.name, run);
+
+    try {
+        const [{ settings, deploys }, branch, fromCommit] = await Promise.all([
+            readStore(app.name),
+            getCurrentGitBranch(app.pm2_env_cwd),
+            getCurrentGitCommit(app.pm2_env_cwd)
+        ]);
+        if (!fromCommit) {
+            throw new Error('The app directory is not a git repository');
+        }
+
+        run.deploy = {
+            id: (deploys[deploys.length - 1]?.id ?? 0) + 1,
+            status: 'running',
+            author,
+            source,
+            branch: branch === 'HEAD' ? null : branch,
+            fromCommit,
+            toCommit: null,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            error: null,
+            steps: []
+        };
+        await saveDeploy(app.name, run.deploy);
+
+        runDeploy(run, app, settings).catch((err) => {
+            console.error('Failed to finish deploy:', err);
+            runs.delete(app.name);
+        });
+        return toDeployInfo(run.deploy, run);
+    } catch (err) {
+        runs.delete(app.name);
+        throw err;
+    }
+}
+
+export {
+    DEPLOY_INSTALL_MODES,
+    DEPLOY_RELOAD_MODES,
+    DEPLOY_STATUSES,
+    getDeploySettings,
+    pickDeploySettings,
+    updateDeploySettings,
+    listDeploys,
+    getDeploy,
+    subscribeToDeploy,
+    startDeploy
+};
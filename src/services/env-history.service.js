@@ -0,0 +1,132 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+import { getEnvFileContent, writeEnvFileContent } from '../utils/env.util.js';
+import { diffLines } from '../utils/diff.util.js';
+import { createKeyedLock } from '../utils/lock.util.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ENV_HISTORY_DIR = path.join(__dirname, '../config/env-history');
+
+const { ENV_HISTORY_MAX_VERSIONS } = config.DEFAULTS;
+
+/**
+ * Versions of the .env file of each app, one JSON file per app: `{ versions: [...] }`, oldest first
+ * Versions: { version, timestamp, author, source, comment, content }
+ * - source: web or api for saves, disk for changes found on disk before a save (edited by hand, deploys...)
+ * Only the last ENV_HISTORY_MAX_VERSIONS are kept. Contents hold the secrets of the file, like the file itself.
+ */
+const historyFile = (appName) => path.join(ENV_HISTORY_DIR, `${encodeURIComponent(appName)}.json`);
+
+// Saves of an app run one after the other, so two saves cannot drop each other's version
+const withAppLock = createKeyedLock();
+
+async function readVersions(appName) {
+    const filePath = historyFile(appName);
+    if (!await fs.pathExists(filePath)) {
+        return [];
+    }
+    const data = await fs.readJson(filePath);
+    return Array.isArray(data.versions) ? data.versions : [];
+}
+
+async function writeVersions(appName, versions) {
+    await fs.ensureDir(ENV_HISTORY_DIR);
+    await fs.writeJson(historyFile(appName), { versions: versions.slice(-ENV_HISTORY_MAX_VERSIONS) }, { spaces: 2 });
+}
+
+const addVersion = (versions, { content, author, source, comment }) => {
+    const version = {
+        version: (versions[versions.length - 1]?.version ?? 0) + 1,
+        timestamp: new Date().toISOString(),
+        author,
+        source,
+        comment: comment || null,
+        content
+    };
+    versions.push(version);
+    return version;
+};
+
+const findVersion = (versions, versionNumber) => {
+    const version = versions.find(entry => entry.version === versionNumber);
+    if (!version) {
+        throw new Error(`Version ${versionNumber} not found`);
+    }
+    return version;
+};
+
+const toVersionInfo = ({ content, ...version }) => ({ ...version, lines: content.split('\n').filter(Boolean).length });
+
+/**
+ * Write the .env file of an app and record it as a new version
+ * A file that changed on disk since the last version is recorded first, so it can be rolled back to.
+ * Returns the version info, the last one when the content did not change.
+ */
+function saveEnvFile(app, content, { author, source = 'web', comment = null }) {
+    return withAppLock(app.name, async () => {
+        const versions = await readVersions(app.name);
+        const current = await getEnvFileContent(app.pm2_env_cwd);
+        const latest = versions[versions.length - 1];
+
+        if (current !== null && current !== latest?.content) {
+            addVersion(versions, {
+                content: current,
+                author: null,
+                source: 'disk',
+                comment: latest ? 'Changed outside PM2 WebUI' : 'Before the first save from PM2 WebUI'
+            });
+        }
+
+        await writeEnvFileContent(app.pm2_env_cwd, content);
+
+        const saved = content === versions[versions.length - 1]?.content
+            ? versions[versions.length - 1]
+            : addVersion(versions, { content, author, source, comment });
+        await writeVersions(app.name, versions);
+        return toVersionInfo(saved);
+    });
+}
+
+// Versions of an app, newest first, without their content
+async function listEnvVersions(appName) {
+    const versions = await readVersions(appName);
+    return versions.map(toVersionInfo).reverse();
+}
+
+async function getEnvVersion(appName, versionNumber) {
+    return findVersion(await readVersions(appName), versionNumber);
+}
+
+// Line diff between two versions, `to` defaults to the latest one
+async function diffEnvVersions(appName, from, to = null) {
+    const versions = await readVersions(appName);
+    const fromVersion = findVersion(versions, from);
+    const toVersion = to === null ? versions[versions.length - 1] : findVersion(versions, to);
+    const lines = diffLines(fromVersion.content, toVersion.content);
+
+    return {
+        from: toVersionInfo(fromVersion),
+        to: toVersionInfo(toVersion),
+        added: lines.filter(line => line.type === 'added').length,
+        removed: lines.filter(line => line.type === 'removed').length,
+        lines
+    };
+}
+
+// Write the content of an old version back, as a new version
+async function rollbackEnvFile(app, versionNumber, { author, source = 'web' }) {
+    const version = await getEnvVersion(app.name, versionNumber);
+    const saved = await saveEnvFile(app, version.content, { author, source, comment: `Rollback to version ${versionNumber}` });
+    return { ...saved, content: version.content };
+}
+
+export {
+    saveEnvFile,
+    listEnvVersions,
+    getEnvVersion,
+    diffEnvVersions,
+    rollbackEnvFile
+};
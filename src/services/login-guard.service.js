@@ -0,0 +1,182 @@
+import config from '../config/index.js';
+import { recordAuditEvent } from './audit.service.js';
+import { alertLoginLockout } from './telegram.service.js';
+
+const {
+    LOGIN_DELAY_BASE,
+    LOGIN_DELAY_MAX,
+    LOGIN_MAX_ACCOUNT_FAILURES,
+    LOGIN_MAX_IP_FAILURES,
+    LOGIN_FAILURE_WINDOW,
+    LOGIN_LOCKOUT_DURATION,
+    LOGIN_TRACKED_KEYS_MAX
+} = config.DEFAULTS;
+
+/**
+ * Failed login tracking per account and per IP, kept in memory like the login rate limiter
+ * - Each failure of an account delays its next attempt, doubling from LOGIN_DELAY_BASE up to LOGIN_DELAY_MAX
+ * - Too many failures of an account or an IP within LOGIN_FAILURE_WINDOW lock it for LOGIN_LOCKOUT_DURATION
+ * Unknown usernames are tracked like real ones, so delays and lockouts do not reveal which accounts exist.
+ * Entries: { count, firstAt, retryAt, lockedUntil }, times in epoch ms.
+ */
+const failures = new Map();
+
+const accountKey = (username) => `account:${username}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const isExpired = (entry, now) => now - entry.firstAt > LOGIN_FAILURE_WINDOW && entry.lockedUntil <= now && entry.retryAt <= now;
+
+const getEntry = (key, now) => {
+    const entry = failures.get(key);
+    if (entry && isExpired(entry, now)) {
+        failures.delete(key);
+        return null;
+    }
+    return entry ?? null;
+};
+
+// Drop expired entries, then the oldest ones, so random usernames cannot grow the map forever
+const pruneEntries = (now) => {
+    for (const [key, entry] of failures) {
+        if (isExpired(entry, now)) {
+            failures.delete(key);
+        }
+    }
+    for (const key of failures.keys()) {
+        if (failures.size <= LOGIN_TRACKED_KEYS_MAX) {
+            break;
+        }
+        failures.delete(key);
+    }
+};
+
+const formatWait = (ms) => {
+    const seconds = Math.ceil(ms / 1000);
+    if (seconds < 60) {
+        return `${seconds} second${seconds === 1 ? '' : 's'}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Throw when the account or the IP has to wait, before the password is checked
+function checkLoginAllowed(username, ip) {
+    const now = Date.now();
+    const waitUntil = Math.max(
+        0,
+        ...[getEntry(accountKey(username), now), getEntry(ipKey(ip), now)]
+            .filter(Boolean)
+            .map(entry => Math.max(entry.lockedUntil, entry.retryAt))
+    );
+
+    if (waitUntil > now) {
+        throw new Error(`Too many failed login attempts, try again in ${formatWait(waitUntil - now)}`);
+    }
+}
+
+const notifyLockout = async ({ username = null, ip, failureCount, lockedUntil }) => {
+    const until = new Date(lockedUntil).toISOString();
+    try {
+        await recordAuditEvent({
+            actor: null,
+            action: 'login.lockout',
+            target: username,
+            outcome: 'failure',
+            error: 'Too many failed login attempts',
+            details: { lockedIp: username ? null : ip, failures: failureCount, lockedUntil: until },
+            ip
+        });
+    } catch (err) {
+        console.error('Failed to record audit event:', err);
+    }
+    await alertLoginLockout({ username, ip, failures: failureCount, lockedUntil: until });
+};
+
+const addFailure = (key, now, maxFailures, delay) => {
+    const entry = getEntry(key, now) ?? { count: 0, firstAt: now, retryAt: 0, lockedUntil: 0 };
+    entry.count++;
+    entry.retryAt = delay ? now + Math.min(LOGIN_DELAY_BASE * 2 ** (entry.count - 1), LOGIN_DELAY_MAX) : 0;
+
+    const locked = entry.count >= maxFailures && entry.lockedUntil <= now;
+    if (locked) {
+        entry.lockedUntil = now + LOGIN_LOCKOUT_DURATION;
+    }
+
+    // Re-insert so the map stays ordered by last failure for pruning
+    failures.delete(key);
+    failures.set(key, entry);
+    return locked ? entry : null;
+};
+
+// Count a wrong password or second step code, and lock the account or IP when it reaches the limit
+async function recordLoginFailure(username, ip) {
+    const now = Date.now();
+    const lockedAccount = addFailure(accountKey(username), now, LOGIN_MAX_ACCOUNT_FAILURES, true);
+    // IPs only count towards a lockout, delaying them would slow down everyone behind the same NAT
+    const lockedIp = addFailure(ipKey(ip), now, LOGIN_MAX_IP_FAILURES, false);
+
+    if (failures.size > LOGIN_TRACKED_KEYS_MAX) {
+        pruneEntries(now);
+    }
+
+    if (lockedAccount) {
+        await notifyLockout({ username, ip, failureCount: lockedAccount.count, lockedUntil: lockedAccount.lockedUntil });
+    }
+    if (lockedIp) {
+        await notifyLockout({ ip, failureCount: lockedIp.count, lockedUntil: lockedIp.lockedUntil });
+    }
+}
+
+// A completed login clears the failures of the account, the IP keeps counting
+function recordLoginSuccess(username) {
+    failures.delete(accountKey(username));
+}
+
+// When the account is locked until, as an ISO string, or null
+function getAccountLockout(username) {
+    const now = Date.now();
+    const entry = getEntry(accountKey(username), now);
+    return entry && entry.lockedUntil > now ? new Date(entry.lockedUntil).toISOString() : null;
+}
+
+// Locked accounts and IPs
+function listLockouts() {
+    const now = Date.now();
+    const accounts = [];
+    const ips = [];
+
+    for (const key of [...failures.keys()]) {
+        const entry = getEntry(key, now);
+        if (!entry || entry.lockedUntil <= now) {
+            continue;
+        }
+        const [type, value] = key.split(/:(.*)/s);
+        const lockout = { failures: entry.count, lockedUntil: new Date(entry.lockedUntil).toISOString() };
+        if (type === 'account') {
+            accounts.push({ username: value, ...lockout });
+        } else {
+            ips.push({ ip: value, ...lockout });
+        }
+    }
+
+    return { accounts, ips };
+}
+
+// Admin unlock, also clears the failures so the next attempt is not delayed
+function unlockAccount(username) {
+    return failures.delete(accountKey(username));
+}
+
+function unlockIp(ip) {
+    return failures.delete(ipKey(ip));
+}
+
+export {
+    checkLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    getAccountLockout,
+    listLockouts,
+    unlockAccount,
+    unlockIp
+};
@@ -0,0 +1,258 @@
+import fs from 'fs-extra';
+import path from 'path';
+import readline from 'readline';
+import { fileURLToPath } from 'url';
+import config from '../config/index.js';
+import { listProcessMetrics } from '../providers/pm2/api.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const METRICS_DIR = path.join(__dirname, '../config/metrics');
+
+const {
+    METRICS_RAW_RETENTION,
+    METRICS_ROLLUP_STEP,
+    METRICS_MAINTENANCE_INTERVAL,
+    METRICS_DEFAULT_RANGE,
+    METRICS_DEFAULT_POINTS,
+    METRICS_MAX_POINTS
+} = config.DEFAULTS;
+
+const DAY = 24 * 60 * 60 * 1000;
+const AVERAGED_FIELDS = ['cpu', 'memory', 'loopDelay', 'loopDelayP95', 'heapUsed', 'heapTotal'];
+
+/**
+ * Metrics store: one append-only JSON lines file per UTC day, `<YYYY-MM-DD>.jsonl`,
+ * holding a sample per process. Days older than METRICS_RAW_RETENTION are rolled up
+ * into METRICS_ROLLUP_STEP averages (`<YYYY-MM-DD>.rollup.jsonl`) and days older than
+ * METRICS_RETENTION_DAYS are deleted.
+ */
+
+let sampleTimer = null;
+let maintenanceTimer = null;
+let sampling = false;
+
+const dayKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+const rawFile = (day) => path.join(METRICS_DIR, `${day}.jsonl`);
+const rollupFile = (day) => path.join(METRICS_DIR, `${day}.rollup.jsonl`);
+
+// Read samples from a store file, skipping lines cut short by a crash
+async function readSamples(filePath, onSample) {
+    if (!await fs.pathExists(filePath)) {
+        return;
+    }
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line) {
+            continue;
+        }
+        try {
+            onSample(JSON.parse(line));
+        } catch (err) {
+            // Incomplete line
+        }
+    }
+}
+
+// Average the samples of each process over fixed time buckets
+function createBuckets() {
+    const buckets = new Map();
+    return {
+        add(bucketTime, sample) {
+            const key = `${bucketTime}:${sample.name}:${sample.pm_id}`;
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { t: bucketTime, name: sample.name, pm_id: sample.pm_id, count: 0, timeSum: 0, restarts: 0, status: sample.status, sums: {}, counts: {} };
+                buckets.set(key, bucket);
+            }
+            bucket.count++;
+            bucket.timeSum += sample.t;
+            bucket.restarts = Math.max(bucket.restarts, sample.restarts || 0);
+            bucket.status = sample.status;
+            for (const field of AVERAGED_FIELDS) {
+                if (typeof sample[field] === 'number') {
+                    bucket.sums[field] = (bucket.sums[field] || 0) + sample[field];
+                    bucket.counts[field] = (bucket.counts[field] || 0) + 1;
+                }
+            }
+        },
+        // `sampleTime` is the mean time of the samples in the bucket
+        values() {
+            return [...buckets.values()].map(bucket => {
+                const averaged = { t: bucket.t, sampleTime: Math.round(bucket.timeSum / bucket.count), name: bucket.name, pm_id: bucket.pm_id, status: bucket.status, restarts: bucket.restarts };
+                for (const field of AVERAGED_FIELDS) {
+                    averaged[field] = bucket.counts[field] ? bucket.sums[field] / bucket.counts[field] : null;
+                }
+                return averaged;
+            }).sort((a, b) => a.t - b.t);
+        }
+    };
+}
+
+// Record one sample per process
+async function recordSamples(processes, timestamp = Date.now()) {
+    if (processes.length === 0) {
+        return;
+    }
+    const lines = processes.map(proc => JSON.stringify({ t: timestamp, ...proc })).join('\n') + '\n';
+    await fs.ensureDir(METRICS_DIR);
+    await fs.appendFile(rawFile(dayKey(timestamp)), lines, 'utf-8');
+}
+
+// Downsample old raw days and delete days past retention
+async function compactMetrics(now = Date.now()) {
+    if (!await fs.pathExists(METRICS_DIR)) {
+        return;
+    }
+    const retentionStart = dayKey(now - config.METRICS_RETENTION_DAYS * DAY);
+    const files = await fs.readdir(METRICS_DIR);
+
+    for (const file of files) {
+        const match = /^(\d{4}-\d{2}-\d{2})(\.rollup)?\.jsonl$/.exec(file);
+        if (!match) {
+            continue;
+        }
+        const [, day, rollup] = match;
+
+        if (day < retentionStart) {
+            await fs.remove(path.join(METRICS_DIR, file));
+            continue;
+        }
+
+        const dayEnd = Date.parse(`${day}T00:00:00Z`) + DAY;
+        if (!rollup && dayEnd <= now - METRICS_RAW_RETENTION) {
+            const buckets = createBuckets();
+            await readSamples(rawFile(day), sample => {
+                buckets.add(sample.t - (sample.t % METRICS_ROLLUP_STEP), sample);
+            });
+            // Rolled up samples keep a time inside the range they cover, so range queries still include them
+            const lines = buckets.values().map(({ t, sampleTime, ...sample }) => JSON.stringify({ t: sampleTime, ...sample })).join('\n');
+            // Rolled up from the raw file only, so an interrupted run is simply redone
+            const tmpFile = `${rollupFile(day)}.tmp`;
+            await fs.writeFile(tmpFile, lines ? lines + '\n' : '', 'utf-8');
+            await fs.rename(tmpFile, rollupFile(day));
+            await fs.remove(rawFile(day));
+        }
+    }
+}
+
+/**
+ * Parse a step given in seconds or with a unit: 30, 30s, 5m, 1h, 1d
+ * Returns ms, or null when not set. Throws on invalid values.
+ */
+function parseStep(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const match = /^(\d+)(s|m|h|d)?$/.exec(String(value).trim());
+    if (!match || parseInt(match[1], 10) === 0) {
+        throw new Error('Step must be a positive duration, e.g. 30, 30s, 5m, 1h');
+    }
+    const units = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY };
+    return parseInt(match[1], 10) * units[match[2] || 's'];
+}
+
+/**
+ * Metrics of one app between `from` and `to` (ms), averaged per `step` (ms)
+ * Every point adds up its instances: cpu, memory and heap are summed, event loop
+ * latency is the slowest instance and restarts the total restart count.
+ */
+async function queryMetrics(appName, { from = null, to = null, step = null } = {}) {
+    const now = Date.now();
+    to = to ?? now;
+    from = from ?? to - METRICS_DEFAULT_RANGE;
+    if (from >= to) {
+        throw new Error('From must be before to');
+    }
+    // Nothing is kept beyond the retention, so older days are not even looked up
+    from = Math.max(from, to - config.METRICS_RETENTION_DAYS * DAY);
+    const minStep = Math.ceil((to - from) / METRICS_MAX_POINTS);
+    step = Math.max(step ?? Math.ceil((to - from) / METRICS_DEFAULT_POINTS), minStep, 1000);
+
+    const buckets = createBuckets();
+    for (let day = Date.parse(`${dayKey(from)}T00:00:00Z`); day <= Math.min(to, now); day += DAY) {
+        for (const filePath of [rollupFile(dayKey(day)), rawFile(dayKey(day))]) {
+            await readSamples(filePath, sample => {
+                if (sample.name === appName && sample.t >= from && sample.t <= to) {
+                    buckets.add(from + Math.floor((sample.t - from) / step) * step, sample);
+                }
+            });
+        }
+    }
+
+    const points = new Map();
+    for (const sample of buckets.values()) {
+        let point = points.get(sample.t);
+        if (!point) {
+            point = { t: sample.t, instances: 0, restarts: 0, cpu: null, memory: null, loopDelay: null, loopDelayP95: null, heapUsed: null, heapTotal: null };
+            points.set(sample.t, point);
+        }
+        point.instances++;
+        point.restarts += sample.restarts;
+        for (const field of ['cpu', 'memory', 'heapUsed', 'heapTotal']) {
+            if (sample[field] !== null) {
+                point[field] = (point[field] ?? 0) + sample[field];
+            }
+        }
+        for (const field of ['loopDelay', 'loopDelayP95']) {
+            if (sample[field] !== null) {
+                point[field] = Math.max(point[field] ?? 0, sample[field]);
+            }
+        }
+    }
+
+    return { from, to, step, points: [...points.values()] };
+}
+
+async function sampleMetrics() {
+    if (sampling) {
+        return;
+    }
+    sampling = true;
+    try {
+        await recordSamples(await listProcessMetrics());
+    } catch (err) {
+        console.error('Failed to sample metrics:', err.message);
+    } finally {
+        sampling = false;
+    }
+}
+
+async function runMaintenance() {
+    try {
+        await compactMetrics();
+    } catch (err) {
+        console.error('Failed to compact metrics:', err.message);
+    }
+}
+
+function startMetricsSampler() {
+    if (!config.METRICS_ENABLED) {
+        console.log('Metrics sampler is disabled');
+        return;
+    }
+    if (sampleTimer) {
+        return;
+    }
+    sampleTimer = setInterval(sampleMetrics, config.METRICS_SAMPLE_INTERVAL);
+    maintenanceTimer = setInterval(runMaintenance, METRICS_MAINTENANCE_INTERVAL);
+    sampleMetrics();
+    runMaintenance();
+    console.log(`Metrics sampler started, sampling every ${config.METRICS_SAMPLE_INTERVAL / 1000}s`);
+}
+
+function stopMetricsSampler() {
+    clearInterval(sampleTimer);
+    clearInterval(maintenanceTimer);
+    sampleTimer = null;
+    maintenanceTimer = null;
+}
+
+export {
+    startMetricsSampler,
+    stopMetricsSampler,
+    recordSamples,
+    compactMetrics,
+    queryMetrics,
+    parseStep
+};
@@ -0,0 +1,96 @@
+import * as client from 'openid-client';
+import config from '../config/index.js';
+import { provisionSsoUser } from './user.service.js';
+
+/**
+ * OpenID Connect single sign-on: authorization code flow with PKCE, state and nonce
+ * Users are created on their first login, their role follows the IdP groups on each login:
+ * - OIDC_ADMIN_GROUPS: admin
+ * - OIDC_VIEWER_GROUPS: viewer, or every other user of the IdP when empty
+ */
+
+let configurationPromise = null;
+
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+// Discovery runs once, a failure is retried on the next login
+const getOidcConfiguration = () => {
+    if (!configurationPromise) {
+        const issuer = new URL(config.OIDC_ISSUER);
+        configurationPromise = client.discovery(issuer, config.OIDC_CLIENT_ID, config.OIDC_CLIENT_SECRET ?? undefined, undefined, {
+            // Plain HTTP only for an IdP on this machine, e.g. a mock one during development
+            execute: issuer.protocol === 'http:' && LOOPBACK_HOSTS.includes(issuer.hostname) ? [client.allowInsecureRequests] : []
+        }).catch((err) => {
+            configurationPromise = null;
+            throw err;
+        });
+    }
+    return configurationPromise;
+};
+
+const getRedirectUri = (baseUrl) => config.OIDC_REDIRECT_URI || `${baseUrl}/login/oidc/callback`;
+
+// Claim by name, or by path for nested claims like `realm_access.roles`
+const getClaim = (claims, name) => name.split('.').reduce((value, key) => value?.[key], claims);
+
+const mapClaimsToRole = (claims) => {
+    const groups = [].concat(getClaim(claims, config.OIDC_GROUPS_CLAIM) ?? []).map(String);
+
+    if (groups.some(group => config.OIDC_ADMIN_GROUPS.includes(group))) {
+        return 'admin';
+    }
+    if (config.OIDC_VIEWER_GROUPS.length === 0 || groups.some(group => config.OIDC_VIEWER_GROUPS.includes(group))) {
+        return 'viewer';
+    }
+    throw new Error('Your account is not in a group allowed to use PM2 WebUI');
+};
+
+// Local usernames only have lowercase letters, numbers and underscores
+const toUsername = (value) => String(value).toLowerCase().replace(/[^a-z0-9_]/g, '_');
+
+// Authorization URL of the IdP, the checks must be kept until the callback
+async function beginOidcLogin(baseUrl) {
+    const oidc = await getOidcConfiguration();
+    const checks = {
+        codeVerifier: client.randomPKCECodeVerifier(),
+        state: client.randomState(),
+        nonce: client.randomNonce()
+    };
+
+    const url = client.buildAuthorizationUrl(oidc, {
+        redirect_uri: getRedirectUri(baseUrl),
+        scope: config.OIDC_SCOPES,
+        code_challenge: await client.calculatePKCECodeChallenge(checks.codeVerifier),
+        code_challenge_method: 'S256',
+        state: checks.state,
+        nonce: checks.nonce
+    });
+
+    return { url: url.href, checks };
+}
+
+// Exchange the code of the callback, then find or create the user of the ID token
+async function completeOidcLogin(baseUrl, querystring, checks) {
+    const oidc = await getOidcConfiguration();
+    const redirectUri = getRedirectUri(baseUrl);
+
+    const tokens = await client.authorizationCodeGrant(oidc, new URL(`${redirectUri}?${querystring}`), {
+        pkceCodeVerifier: checks.codeVerifier,
+        expectedState: checks.state,
+        expectedNonce: checks.nonce,
+        idTokenExpected: true
+    }, { redirect_uri: redirectUri });
+
+    let claims = tokens.claims();
+    // Some IdPs only put the groups in the userinfo response
+    if (getClaim(claims, config.OIDC_GROUPS_CLAIM) === undefined && oidc.serverMetadata().userinfo_endpoint) {
+        claims = { ...claims, ...(await client.fetchUserInfo(oidc, tokens.access_token, claims.sub)) };
+    }
+
+    const role = mapClaimsToRole(claims);
+    const name = getClaim(claims, config.OIDC_USERNAME_CLAIM) ?? claims.email ?? claims.sub;
+
+    return provisionSsoUser({ issuer: claims.iss, subject: claims.sub, username: toUsername(name), role });
+}
+
+export { beginOidcLogin, completeOidcLogin };
@@ -1,11 +1,13 @@
 import TelegramBot from 'node-telegram-bot-api';
-import pm2 from 'pm2';
 import config from '../config/index.js';
-import { listApps, restartApp, stopApp, reloadApp, describeApp } from '../providers/pm2/api.js';
+import { onBusEvent } from '../providers/pm2/client.js';
+import { listApps, startApp, restartApp, stopApp, reloadApp, describeApp } from '../providers/pm2/api.js';
+import { bytesToSize, timeSince } from '../utils/format.util.js';
 import { getCurrentGitBranch, getCurrentGitCommit, checkForUpdates, pullUpdates } from '../utils/git.util.js';
+import { recordAuditEvent } from './audit.service.js';
 
 let bot = null;
-let pm2Bus = null;
+let unsubscribeBus = null;
 
 /**
  * Check if user is in the allowlist
@@ -41,6 +43,38 @@ async function sendAlert(message) {
     }
 }
 
+// Text from outside (usernames typed on the login page) must not break the HTML alerts
+const escapeHtml = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Alert about a locked account or IP after too many failed logins
+ */
+async function alertLoginLockout({ username, ip, failures, lockedUntil }) {
+    await sendAlert(`🔒 <b>Login Locked</b>\n\n` +
+        (username ? `👤 User: <b>${escapeHtml(username)}</b>\n` : '') +
+        `🌐 IP: ${escapeHtml(ip)}\n` +
+        `❌ Failed attempts: ${failures}\n` +
+        `🕐 Locked until: ${new Date(lockedUntil).toLocaleString()}`);
+}
+
+const DEPLOY_FAILURE_OUTCOMES = {
+    failed: 'Nothing was rolled back',
+    rolled_back: 'Rolled back to the previous commit',
+    rollback_failed: 'The rollback failed too, check the app'
+};
+
+/**
+ * Alert about a failed deploy and whether the app was rolled back
+ */
+async function alertDeployFailed({ appName, id, status, error, fromCommit, toCommit }) {
+    await sendAlert(`🚨 <b>Deploy Failed</b>\n\n` +
+        `📦 App: <b>${escapeHtml(appName)}</b>\n` +
+        `🔢 Deploy: #${id}\n` +
+        `📝 Commits: ${fromCommit || '-'} → ${toCommit || '-'}\n` +
+        `❌ Error: ${escapeHtml(error)}\n` +
+        `↩️ ${DEPLOY_FAILURE_OUTCOMES[status]}`);
+}
+
 /**
  * Format apps list for Telegram message
  */
@@ -62,8 +96,8 @@ function formatAppsList(apps) {
         const emoji = statusEmoji[app.status] || '⚪';
         message += `${emoji} <b>${app.name}</b> (ID: ${app.pm_id})\n`;
         message += `   Status: ${app.status}\n`;
-        message += `   CPU: ${app.cpu}% | Memory: ${app.memory}\n`;
-        message += `   Uptime: ${app.uptime}\n\n`;
+        message += `   CPU: ${app.cpu}% | Memory: ${bytesToSize(app.memory)}\n`;
+        message += `   Uptime: ${timeSince(app.pm_uptime)} | Restarts: ${app.restart_time}\n\n`;
     });
 
     return message;
@@ -113,6 +147,39 @@ async function showAppSelection(chatId, commandPrefix, message) {
     }
 }
 
+/**
+ * Record a bot action in the audit log, the actor is the Telegram user id
+ */
+async function auditTelegramEvent(from, action, target, error = null) {
+    try {
+        await recordAuditEvent({
+            actor: `telegram:${from.id}`,
+            source: 'telegram',
+            action,
+            target,
+            outcome: error ? 'failure' : 'success',
+            error,
+            details: { username: from.username ?? null }
+        });
+    } catch (err) {
+        console.error('[Telegram] Failed to record audit event:', err.message);
+    }
+}
+
+/**
+ * Run a control action and audit it, results with `success: false` count as failures
+ */
+async function runAuditedAction(from, action, target, run) {
+    try {
+        const result = await run();
+        await auditTelegramEvent(from, action, target, result?.success === false ? (result.message || 'Failed') : null);
+        return result;
+    } catch (err) {
+        await auditTelegramEvent(from, action, target, err.message);
+        throw err;
+    }
+}
+
 /**
  * Execute command with app name or show selection
  */
@@ -129,48 +196,25 @@ async function executeOrShowSelection(msg, processName, commandPrefix, selection
     }
 }
 
-/**
- * Start PM2 process by name or ID
- */
-function startApp(process) {
-    return new Promise((resolve, reject) => {
-        pm2.connect((err) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-            // PM2 restart on a stopped process will start it
-            pm2.restart(process, (err, proc) => {
-                pm2.disconnect();
-                if (err) {
-                    reject(err);
-                    return;
-                }
-                resolve(proc);
-            });
-        });
-    });
-}
-
 /**
  * Handle callback query actions
  */
-async function handleCallbackAction(command, appName) {
+async function handleCallbackAction(command, appName, from) {
     switch (command) {
         case 'start_app':
-            await startApp(appName);
+            await runAuditedAction(from, 'app.start', appName, () => startApp(appName));
             return { success: true, message: `✅ Process <b>${appName}</b> started successfully.` };
 
         case 'stop_app':
-            await stopApp(appName);
+            await runAuditedAction(from, 'app.stop', appName, () => stopApp(appName));
             return { success: true, message: `✅ Process <b>${appName}</b> stopped successfully.` };
 
         case 'restart_app':
-            await restartApp(appName);
+            await runAuditedAction(from, 'app.restart', appName, () => restartApp(appName));
             return { success: true, message: `✅ Process <b>${appName}</b> restarted successfully.` };
 
         case 'reload_app':
-            await reloadApp(appName);
+            await runAuditedAction(from, 'app.reload', appName, () => reloadApp(appName));
             return { success: true, message: `✅ Process <b>${appName}</b> reloaded successfully.` };
 
         case 'git_status': {
@@ -227,7 +271,7 @@ async function handleCallbackAction(command, appName) {
                 return { success: false, message: `❌ Process <b>${appName}</b> not found.` };
             }
 
-            const result = await pullUpdates(app.pm2_env_cwd);
+            const result = await runAuditedAction(from, 'git.pull', app.name, () => pullUpdates(app.pm2_env_cwd));
 
             if (result.success) {
                 const newCommit = await getCurrentGitCommit(app.pm2_env_cwd);
@@ -259,67 +303,49 @@ async function handleCallbackAction(command, appName) {
  * Subscribe to PM2 bus events for crash/restart alerts
  */
 function subscribeToPm2Bus() {
-    pm2.connect((err) => {
-        if (err) {
-            console.error('[Telegram] Failed to connect to PM2 for bus events:', err.message);
-            return;
-        }
-
-        pm2.launchBus((err, bus) => {
-            if (err) {
-                console.error('[Telegram] Failed to launch PM2 bus:', err.message);
-                pm2.disconnect();
-                return;
-            }
-
-            pm2Bus = bus;
-            console.log('[Telegram] Subscribed to PM2 bus events for alerts');
-
-            bus.on('process:event', (data) => {
-                const { event, process: proc } = data;
-                const appName = proc?.name || 'Unknown';
-                const timestamp = new Date().toLocaleString();
-
-                let alertMessage = null;
-
-                switch (event) {
-                    case 'exit':
-                        // Check if it's an unexpected exit (crash)
-                        if (proc.exit_code !== 0) {
-                            alertMessage = `🚨 <b>Process Crashed</b>\n\n` +
-                                `📦 App: <b>${appName}</b>\n` +
-                                `❌ Exit Code: ${proc.exit_code}\n` +
-                                `🕐 Time: ${timestamp}`;
-                        }
-                        break;
-                    case 'stop':
-                        alertMessage = `🛑 <b>Process Stopped</b>\n\n` +
-                            `📦 App: <b>${appName}</b>\n` +
-                            `🕐 Time: ${timestamp}`;
-                        break;
-                    case 'restart':
-                        alertMessage = `🔄 <b>Process Restarted</b>\n\n` +
-                            `📦 App: <b>${appName}</b>\n` +
-                            `🕐 Time: ${timestamp}`;
-                        break;
-                    case 'online':
-                        alertMessage = `✅ <b>Process Online</b>\n\n` +
-                            `📦 App: <b>${appName}</b>\n` +
-                            `🕐 Time: ${timestamp}`;
-                        break;
-                }
+    if (unsubscribeBus) {
+        return;
+    }
 
-                if (alertMessage) {
-                    sendAlert(alertMessage);
+    unsubscribeBus = onBusEvent('process:event', (data) => {
+        const { event, process: proc } = data;
+        const appName = proc?.name || 'Unknown';
+        const timestamp = new Date().toLocaleString();
+
+        let alertMessage = null;
+
+        switch (event) {
+            case 'exit':
+                // Check if it's an unexpected exit (crash)
+                if (proc.exit_code !== 0) {
+                    alertMessage = `🚨 <b>Process Crashed</b>\n\n` +
+                        `📦 App: <b>${appName}</b>\n` +
+                        `❌ Exit Code: ${proc.exit_code}\n` +
+                        `🕐 Time: ${timestamp}`;
                 }
-            });
+                break;
+            case 'stop':
+                alertMessage = `🛑 <b>Process Stopped</b>\n\n` +
+                    `📦 App: <b>${appName}</b>\n` +
+                    `🕐 Time: ${timestamp}`;
+                break;
+            case 'restart':
+                alertMessage = `🔄 <b>Process Restarted</b>\n\n` +
+                    `📦 App: <b>${appName}</b>\n` +
+                    `🕐 Time: ${timestamp}`;
+                break;
+            case 'online':
+                alertMessage = `✅ <b>Process Online</b>\n\n` +
+                    `📦 App: <b>${appName}</b>\n` +
+                    `🕐 Time: ${timestamp}`;
+                break;
+        }
 
-            // Handle errors on the bus
-            bus.on('error', (err) => {
-                console.error('[Telegram] PM2 bus error:', err.message);
-            });
-        });
+        if (alertMessage) {
+            sendAlert(alertMessage);
+        }
     });
+    console.log('[Telegram] Subscribed to PM2 bus events for alerts');
 }
 
 /**
@@ -364,6 +390,7 @@ function startTelegramBot() {
             if (!isAllowedUser(userId)) {
                 bot.sendMessage(msg.chat.id, '⛔ Access denied. You are not authorized to use this bot.');
                 console.log(`[Telegram] Unauthorized access attempt from user ID: ${userId}`);
+                auditTelegramEvent(msg.from, 'telegram.denied', null, 'User is not allowed');
                 return false;
             }
             return true;
@@ -440,7 +467,7 @@ function startTelegramBot() {
                 'start_app',
                 '🚀 Select an app to start:',
                 async (name) => {
-                    await startApp(name);
+                    await runAuditedAction(msg.from, 'app.start', name, () => startApp(name));
                     bot.sendMessage(msg.chat.id, `✅ Process <b>${name}</b> started successfully.`, { parse_mode: 'HTML' });
                 }
             );
@@ -457,7 +484,7 @@ function startTelegramBot() {
                 'stop_app',
                 '🛑 Select an app to stop:',
                 async (name) => {
-                    await stopApp(name);
+                    await runAuditedAction(msg.from, 'app.stop', name, () => stopApp(name));
                     bot.sendMessage(msg.chat.id, `✅ Process <b>${name}</b> stopped successfully.`, { parse_mode: 'HTML' });
                 }
             );
@@ -474,7 +501,7 @@ function startTelegramBot() {
                 'restart_app',
                 '🔄 Select an app to restart:',
                 async (name) => {
-                    await restartApp(name);
+                    await runAuditedAction(msg.from, 'app.restart', name, () => restartApp(name));
                     bot.sendMessage(msg.chat.id, `✅ Process <b>${name}</b> restarted successfully.`, { parse_mode: 'HTML' });
                 }
             );
@@ -491,7 +518,7 @@ function startTelegramBot() {
                 'reload_app',
                 '🔃 Select an app to reload:',
                 async (name) => {
-                    await reloadApp(name);
+                    await runAuditedAction(msg.from, 'app.reload', name, () => reloadApp(name));
                     bot.sendMessage(msg.chat.id, `✅ Process <b>${name}</b> reloaded successfully.`, { parse_mode: 'HTML' });
                 }
             );
@@ -596,7 +623,7 @@ function startTelegramBot() {
                     return;
                 }
 
-                const result = await pullUpdates(app.pm2_env_cwd);
+                const result = await runAuditedAction(msg.from, 'git.pull', app.name, () => pullUpdates(app.pm2_env_cwd));
 
                 if (result.success) {
                     const newCommit = await getCurrentGitCommit(app.pm2_env_cwd);
@@ -631,6 +658,7 @@ function startTelegramBot() {
             // Check access
             if (!isAllowedUser(userId)) {
                 bot.answerCallbackQuery(callbackQuery.id, { text: '⛔ Access denied' });
+                auditTelegramEvent(callbackQuery.from, 'telegram.denied', null, 'User is not allowed');
                 return;
             }
 
@@ -654,7 +682,7 @@ function startTelegramBot() {
                 });
 
                 // Execute the action
-                const result = await handleCallbackAction(command, appName);
+                const result = await handleCallbackAction(command, appName, callbackQuery.from);
 
                 // Update message with result
                 bot.editMessageText(result.message, {
@@ -695,10 +723,10 @@ function stopTelegramBot() {
         bot = null;
         console.log('[Telegram] Bot stopped');
     }
-    if (pm2Bus) {
-        pm2Bus.close();
-        pm2Bus = null;
+    if (unsubscribeBus) {
+        unsubscribeBus();
+        unsubscribeBus = null;
     }
 }
 
-export { startTelegramBot, stopTelegramBot, sendAlert };
+export { startTelegramBot, stopTelegramBot, sendAlert, alertLoginLockout, alertDeployFailed };
@@ -1,7 +1,12 @@
+import crypto from 'crypto';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import config from '../config/index.js';
 import { hashPasswordSync, comparePassword } from '../utils/password.util.js';
+import { validateAppAccessRules, canControlAnyApp } from '../utils/app-access.util.js';
+import { generateTotpSecret, verifyTotpCode, totpUri } from '../utils/totp.util.js';
+import { createKeyedLock } from '../utils/lock.util.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,7 +16,44 @@ const USERS_FILE = path.join(__dirname, '../config/users.json');
  * User roles: admin, viewer
  * - admin: full access to all PM2 operations
  * - viewer: read-only access (can view apps and logs, cannot restart/stop/reload)
+ * Disabled users can neither log in nor use their API tokens.
+ * `appAccess` optionally limits a user to some apps, see app-access.util.js.
+ * `totp` holds the two-factor settings once enabled, see the TOTP section below.
+ * `sso` links single sign-on users to their IdP, they have no local password unless an admin sets one.
  */
+const USER_ROLES = ['admin', 'viewer'];
+// Same rules as the setup-admin-user script
+const USERNAME_PATTERN = /^[a-z0-9_]{4,}$/;
+const PASSWORD_PATTERN = /^(?=.*\d)(?=.*[!@#$%^&*])(?=.*[a-z])(?=.*[A-Z]).{8,}$/;
+
+const toUserInfo = ({ username, role, disabled = false, appAccess = null, totp = null, sso = null, createdAt, updatedAt = null, apiTokens = [] }) => ({
+    username, role, disabled, appAccess, twoFactor: Boolean(totp), sso: Boolean(sso), createdAt, updatedAt, apiTokens: apiTokens.length
+});
+
+const checkPassword = (password) => {
+    if (typeof password !== 'string' || !PASSWORD_PATTERN.test(password)) {
+        throw new Error('Password must have at least 8 characters with a symbol, upper and lower case letters and a number');
+    }
+};
+
+// Throw unless an enabled admin remains after a change
+const checkAdminRemains = (users) => {
+    if (!users.some(u => u.role === 'admin' && !u.disabled)) {
+        throw new Error('At least one active admin is required');
+    }
+};
+
+// Changes to users.json run one after the other, each on a fresh read, so a write cannot drop another one
+const withUsersLock = createKeyedLock();
+const lockUsers = (task) => withUsersLock(USERS_FILE, task);
+
+const findUser = (users, username) => {
+    const user = users.find(u => u.username === username);
+    if (!user) {
+        throw new Error('User not found');
+    }
+    return user;
+};
 
 // Ensure users file exists
 async function ensureUsersFile() {
@@ -26,6 +68,13 @@ async function ensureUsersFile() {
     }
 }
 
+// Written to a temporary file first, so a read never sees a half-written file
+async function writeUsers(users) {
+    const tmpFile = `${USERS_FILE}.tmp`;
+    await fs.writeJson(tmpFile, { users }, { spaces: 2 });
+    await fs.rename(tmpFile, USERS_FILE);
+}
+
 // Get all users
 async function getUsers() {
     await ensureUsersFile();
@@ -39,105 +88,625 @@ async function getUserByUsername(username) {
     return users.find(u => u.username === username);
 }
 
+// List users without password hashes and tokens
+async function listUsers() {
+    const users = await getUsers();
+    return users.map(toUserInfo);
+}
+
 // Create new user
 async function createUser(username, password, role = 'viewer') {
     if (!username || !password) {
         throw new Error('Username and password are required');
     }
 
-    if (!['admin', 'viewer'].includes(role)) {
-        throw new Error('Role must be admin or viewer');
+    if (!USERNAME_PATTERN.test(username)) {
+        throw new Error('Username must have at least 4 characters: lowercase letters, numbers and underscores');
     }
 
-    const users = await getUsers();
+    checkPassword(password);
 
-    // Check if user already exists
-    if (users.find(u => u.username === username)) {
-        throw new Error('User already exists');
+    if (!USER_ROLES.includes(role)) {
+        throw new Error('Role must be admin or viewer');
     }
 
-    const newUser = {
-        username,
-        password: hashPasswordSync(password),
-        role,
-        createdAt: new Date().toISOString()
-    };
+    return lockUsers(async () => {
+        const users = await getUsers();
 
-    users.push(newUser);
-    await fs.writeJson(USERS_FILE, { users }, { spaces: 2 });
+        // Check if user already exists
+        if (users.find(u => u.username === username)) {
+            throw new Error('User already exists');
+        }
 
-    return { username, role, createdAt: newUser.createdAt };
+        const newUser = {
+            username,
+            password: hashPasswordSync(password),
+            role,
+            createdAt: new Date().toISOString()
+        };
+
+        users.push(newUser);
+        await writeUsers(users);
+
+        return { username, role, createdAt: newUser.createdAt };
+    });
 }
 
+// Same message for unknown users and wrong passwords, so the login page does not reveal which accounts exist
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid username or password';
+let unknownUserHash = null;
+
 // Validate user credentials
 async function validateUser(username, password) {
     const user = await getUserByUsername(username);
 
-    if (!user) {
-        throw new Error('User does not exist');
+    // Single sign-on users without a local password are treated like unknown users
+    if (!user || !user.password) {
+        // Compare anyway so unknown users take as long as wrong passwords
+        unknownUserHash ??= hashPasswordSync(crypto.randomBytes(16).toString('hex'));
+        await comparePassword(password || '', unknownUserHash);
+        throw new Error(INVALID_CREDENTIALS_MESSAGE);
     }
 
-    const isPasswordCorrect = await comparePassword(password, user.password);
+    const isPasswordCorrect = await comparePassword(password || '', user.password);
 
     if (!isPasswordCorrect) {
-        throw new Error('Password is incorrect');
+        throw new Error(INVALID_CREDENTIALS_MESSAGE);
+    }
+
+    if (user.disabled) {
+        throw new Error('User is disabled');
     }
 
-    return { username: user.username, role: user.role };
+    return { username: user.username, role: user.role, twoFactor: Boolean(user.totp) };
 }
 
 // Update user password
 async function updateUserPassword(username, newPassword) {
-    const users = await getUsers();
-    const userIndex = users.findIndex(u => u.username === username);
+    checkPassword(newPassword);
+
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const userIndex = users.findIndex(u => u.username === username);
+
+        if (userIndex === -1) {
+            throw new Error('User not found');
+        }
+
+        users[userIndex].password = hashPasswordSync(newPassword);
+        users[userIndex].updatedAt = new Date().toISOString();
 
-    if (userIndex === -1) {
+        await writeUsers(users);
+        return true;
+    });
+}
+
+// Change a user's own password, the current one must match
+async function changeOwnPassword(username, currentPassword, newPassword) {
+    const user = await getUserByUsername(username);
+
+    if (!user) {
         throw new Error('User not found');
     }
 
-    users[userIndex].password = hashPasswordSync(newPassword);
-    users[userIndex].updatedAt = new Date().toISOString();
+    if (!user.password) {
+        throw new Error('This account logs in with single sign-on');
+    }
+
+    if (!(await comparePassword(currentPassword || '', user.password))) {
+        throw new Error('Current password is incorrect');
+    }
+
+    return updateUserPassword(username, newPassword);
+}
+
+// Change a user's role, the last active admin cannot be demoted
+async function updateUserRole(username, role) {
+    if (!USER_ROLES.includes(role)) {
+        throw new Error('Role must be admin or viewer');
+    }
+
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        if (user.sso) {
+            throw new Error('The role of single sign-on users follows their identity provider groups');
+        }
 
-    await fs.writeJson(USERS_FILE, { users }, { spaces: 2 });
-    return true;
+        user.role = role;
+        user.updatedAt = new Date().toISOString();
+        checkAdminRemains(users);
+
+        await writeUsers(users);
+        return toUserInfo(user);
+    });
 }
 
-// Delete user
+// Disable or re-enable a user, the last active admin cannot be disabled
+async function setUserDisabled(username, disabled) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        user.disabled = Boolean(disabled);
+        user.updatedAt = new Date().toISOString();
+        checkAdminRemains(users);
+
+        await writeUsers(users);
+        return toUserInfo(user);
+    });
+}
+
+// Limit a user to apps matching the rules, null gives back access to every app
+async function updateUserAppAccess(username, appAccess) {
+    validateAppAccessRules(appAccess);
+
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        user.appAccess = appAccess && appAccess.map(({ pattern, access }) => ({ pattern: pattern.trim(), access }));
+        user.updatedAt = new Date().toISOString();
+
+        await writeUsers(users);
+        return toUserInfo(user);
+    });
+}
+
+// Delete user, the last active admin cannot be deleted
 async function deleteUser(username) {
-    const users = await getUsers();
-    const filteredUsers = users.filter(u => u.username !== username);
+    return lockUsers(async () => {
+        const users = await getUsers();
+        findUser(users, username);
+
+        const filteredUsers = users.filter(u => u.username !== username);
+        checkAdminRemains(filteredUsers);
+
+        await writeUsers(filteredUsers);
+        return true;
+    });
+}
+
+/**
+ * Personal API tokens for /api/v1, stored on the user as a SHA-256 hash
+ * Scopes: read (apps, logs, metrics), control (start/stop/restart/reload/scale),
+ * env (read/write .env), git (status, pull). Only users who control an app can hold other scopes.
+ */
+const API_TOKEN_SCOPES = ['read', 'control', 'env', 'git', 'deploy'];
+const API_TOKEN_PREFIX = 'pm2w_';
+// lastUsedAt is written at most this often to avoid rewriting users.json on every request
+const API_TOKEN_TOUCH_INTERVAL = 60 * 1000;
+
+const hashApiToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toTokenInfo = ({ id, name, prefix, scopes, createdAt, lastUsedAt }) => ({ id, name, prefix, scopes, createdAt, lastUsedAt });
+
+// Create an API token, the plain token is only returned here
+async function createApiToken(username, { name, scopes } = {}) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+        throw new Error('Token name is required');
+    }
 
-    if (filteredUsers.length === users.length) {
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_TOKEN_SCOPES.includes(scope))) {
+        throw new Error(`Scopes must be one or more of ${API_TOKEN_SCOPES.join(', ')}`);
+    }
+
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = users.find(u => u.username === username);
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        if (!canControlAnyApp(user) && scopes.some(scope => scope !== 'read')) {
+            throw new Error('Only users who control an app can create tokens beyond read');
+        }
+
+        const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const apiToken = {
+            id: crypto.randomBytes(8).toString('hex'),
+            name: name.trim(),
+            prefix: token.slice(0, API_TOKEN_PREFIX.length + 6),
+            tokenHash: hashApiToken(token),
+            scopes: [...new Set(scopes)],
+            createdAt: new Date().toISOString(),
+            lastUsedAt: null
+        };
+
+        user.apiTokens = [...(user.apiTokens || []), apiToken];
+        await writeUsers(users);
+
+        return { token, ...toTokenInfo(apiToken) };
+    });
+}
+
+// List a user's API tokens, without hashes
+async function listApiTokens(username) {
+    const user = await getUserByUsername(username);
+
+    if (!user) {
         throw new Error('User not found');
     }
 
-    await fs.writeJson(USERS_FILE, { users: filteredUsers }, { spaces: 2 });
-    return true;
+    return (user.apiTokens || []).map(toTokenInfo);
 }
 
-// Migrate from old admin user system
-async function migrateAdminUser(username, hashedPassword) {
+// Revoke one of a user's API tokens
+async function revokeApiToken(username, tokenId) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = users.find(u => u.username === username);
+
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const apiTokens = user.apiTokens || [];
+        user.apiTokens = apiTokens.filter(t => t.id !== tokenId);
+
+        if (user.apiTokens.length === apiTokens.length) {
+            throw new Error('Token not found');
+        }
+
+        await writeUsers(users);
+        return true;
+    });
+}
+
+// Record the last use of a token, nothing when it was revoked in the meantime
+const touchApiToken = (username, tokenId, lastUsedAt) => lockUsers(async () => {
     const users = await getUsers();
+    const apiToken = users.find(u => u.username === username)?.apiTokens?.find(t => t.id === tokenId);
 
-    // Check if admin already exists
-    if (!users.find(u => u.username === username)) {
-        const adminUser = {
-            username,
-            password: hashedPassword,
-            role: 'admin',
-            createdAt: new Date().toISOString()
+    if (apiToken) {
+        apiToken.lastUsedAt = lastUsedAt;
+        await writeUsers(users);
+    }
+});
+
+// Resolve a plain API token to its user and scopes, or null
+async function validateApiToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(API_TOKEN_PREFIX)) {
+        return null;
+    }
+
+    const tokenHash = hashApiToken(token);
+    const users = await getUsers();
+
+    for (const user of users) {
+        const apiToken = (user.apiTokens || []).find(t => t.tokenHash === tokenHash);
+        if (!apiToken) {
+            continue;
+        }
+
+        if (user.disabled) {
+            return null;
+        }
+
+        const now = Date.now();
+        if (!apiToken.lastUsedAt || now - Date.parse(apiToken.lastUsedAt) > API_TOKEN_TOUCH_INTERVAL) {
+            apiToken.lastUsedAt = new Date(now).toISOString();
+            await touchApiToken(user.username, apiToken.id, apiToken.lastUsedAt);
+        }
+
+        return {
+            user: { username: user.username, role: user.role, appAccess: user.appAccess ?? null },
+            token: toTokenInfo(apiToken)
         };
-        users.push(adminUser);
-        await fs.writeJson(USERS_FILE, { users }, { spaces: 2 });
     }
+
+    return null;
+}
+
+/**
+ * TOTP two-factor authentication, checked after the password on web login
+ * - totpSetup: { secret, createdAt } while the user scans the QR code, until a first code confirms it
+ * - totp: { secret, enabledAt, lastUsedStep, recoveryCodes } once enabled
+ * Recovery codes are single use and stored as SHA-256 hashes. lastUsedStep keeps a code from being used twice.
+ * With REQUIRE_ADMIN_2FA, admins cannot use the UI before enabling it.
+ */
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[\s-]/g, '')).digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: config.DEFAULTS.TWO_FACTOR_RECOVERY_CODES }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+// Single sign-on users rely on the two-factor authentication of their IdP
+const isTwoFactorRequired = (user) => config.REQUIRE_ADMIN_2FA && user.role === 'admin' && !user.sso;
+
+// Settings of a newly enabled TOTP, the plain recovery codes are only returned here
+const createTotpSettings = (secret, lastUsedStep) => {
+    const recoveryCodes = generateRecoveryCodes();
+    return {
+        totp: { secret, enabledAt: new Date().toISOString(), lastUsedStep, recoveryCodes: recoveryCodes.map(hashRecoveryCode) },
+        recoveryCodes
+    };
+};
+
+const totpSetupUri = (username, secret) => totpUri(secret, { issuer: config.DEFAULTS.TOTP_ISSUER, account: username });
+
+// Start the TOTP setup with a new secret, for the authenticator app
+async function beginTotpSetup(username) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        if (user.totp) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        if (user.sso) {
+            throw new Error('Single sign-on users use the two-factor authentication of their identity provider');
+        }
+
+        const secret = generateTotpSecret();
+        user.totpSetup = { secret, createdAt: new Date().toISOString() };
+        await writeUsers(users);
+
+        return { secret, uri: totpSetupUri(username, secret) };
+    });
+}
+
+// Enable TOTP once a code from the authenticator app matches, returns the recovery codes
+async function enableTotp(username, code) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        if (user.totp) {
+            throw new Error('Two-factor authentication is already enabled');
+        }
+
+        if (!user.totpSetup) {
+            throw new Error('Start the two-factor setup first');
+        }
+
+        const step = verifyTotpCode(user.totpSetup.secret, code);
+        if (step === null) {
+            throw new Error('Code is incorrect');
+        }
+
+        const { totp, recoveryCodes } = createTotpSettings(user.totpSetup.secret, step);
+        user.totp = totp;
+        delete user.totpSetup;
+        user.updatedAt = new Date().toISOString();
+
+        await writeUsers(users);
+        return recoveryCodes;
+    });
+}
+
+// Turn off the user's own TOTP, the password must match
+async function disableTotp(username, password) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        if (!user.totp) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        if (!(await comparePassword(password || '', user.password))) {
+            throw new Error('Password is incorrect');
+        }
+
+        if (isTwoFactorRequired(user)) {
+            throw new Error('Two-factor authentication is required for admins');
+        }
+
+        delete user.totp;
+        user.updatedAt = new Date().toISOString();
+
+        await writeUsers(users);
+        return true;
+    });
+}
+
+// Second login step: a TOTP code or an unused recovery code
+async function verifyTwoFactor(username, code) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = users.find(u => u.username === username);
+
+        if (!user || user.disabled || !user.totp) {
+            throw new Error('Two-factor authentication failed, log in again');
+        }
+
+        const step = verifyTotpCode(user.totp.secret, code, { lastStep: user.totp.lastUsedStep });
+        let usedRecoveryCode = false;
+
+        if (step !== null) {
+            user.totp.lastUsedStep = step;
+        } else {
+            const index = user.totp.recoveryCodes.indexOf(hashRecoveryCode(code));
+            if (index === -1) {
+                throw new Error('Code is incorrect');
+            }
+            user.totp.recoveryCodes.splice(index, 1);
+            usedRecoveryCode = true;
+        }
+
+        await writeUsers(users);
+        return { username: user.username, role: user.role, usedRecoveryCode, recoveryCodesLeft: user.totp.recoveryCodes.length };
+    });
+}
+
+// Replace the recovery codes, a current TOTP code is required
+async function regenerateRecoveryCodes(username, code) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        if (!user.totp) {
+            throw new Error('Two-factor authentication is not enabled');
+        }
+
+        const step = verifyTotpCode(user.totp.secret, code, { lastStep: user.totp.lastUsedStep });
+        if (step === null) {
+            throw new Error('Code is incorrect');
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        user.totp.lastUsedStep = step;
+        user.totp.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+
+        await writeUsers(users);
+        return recoveryCodes;
+    });
+}
+
+// Two-factor status of a user, without the secret
+async function getTwoFactorStatus(username) {
+    const users = await getUsers();
+    const user = findUser(users, username);
+
+    return {
+        enabled: Boolean(user.totp),
+        enabledAt: user.totp?.enabledAt ?? null,
+        recoveryCodesLeft: user.totp?.recoveryCodes.length ?? 0,
+        required: isTwoFactorRequired(user)
+    };
+}
+
+// Admin reset, for users who lost their authenticator and recovery codes
+async function resetTotp(username) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        delete user.totp;
+        delete user.totpSetup;
+        user.updatedAt = new Date().toISOString();
+
+        await writeUsers(users);
+        return toUserInfo(user);
+    });
+}
+
+/**
+ * Find or create the user of an OIDC login, linked by issuer and subject
+ * The role is updated on each login, except when it would leave no active admin.
+ * Existing local users are never taken over by a matching IdP username.
+ */
+async function provisionSsoUser({ issuer, subject, username, role }) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+        let user = users.find(u => u.sso?.issuer === issuer && u.sso?.subject === subject);
+        let created = false;
+
+        if (!user) {
+            if (!USERNAME_PATTERN.test(username)) {
+                throw new Error('The identity provider username must have at least 4 characters');
+            }
+            if (users.some(u => u.username === username)) {
+                throw new Error(`User ${username} already exists and is not linked to single sign-on`);
+            }
+            user = {
+                username,
+                password: null,
+                role,
+                sso: { issuer, subject },
+                createdAt: new Date().toISOString()
+            };
+            users.push(user);
+            created = true;
+        } else if (user.disabled) {
+            throw new Error('User is disabled');
+        } else if (user.role !== role) {
+            const previousRole = user.role;
+            user.role = role;
+            try {
+                checkAdminRemains(users);
+                user.updatedAt = new Date().toISOString();
+            } catch (err) {
+                // A group change at the IdP cannot demote the last active admin and lock everyone out of user management
+                console.warn(`Kept the ${previousRole} role of ${user.username}: ${err.message}`);
+                user.role = previousRole;
+            }
+        }
+
+        await writeUsers(users);
+        return { username: user.username, role: user.role, created };
+    });
+}
+
+// Migrate from old admin user system
+async function migrateAdminUser(username, hashedPassword) {
+    return lockUsers(async () => {
+        const users = await getUsers();
+
+        // Check if admin already exists
+        if (!users.find(u => u.username === username)) {
+            const adminUser = {
+                username,
+                password: hashedPassword,
+                role: 'admin',
+                createdAt: new Date().toISOString()
+            };
+            users.push(adminUser);
+            await writeUsers(users);
+        }
+    });
+}
+
+/**
+ * Reset the admin from the setup-admin-user script: admin role, enabled, new password
+ * `totp` comes from createTotpSettings, without it two-factor is turned off in case the authenticator was lost
+ */
+async function restoreAdminUser(username, hashedPassword, totp = null) {
+    await migrateAdminUser(username, hashedPassword);
+
+    return lockUsers(async () => {
+        const users = await getUsers();
+        const user = findUser(users, username);
+
+        user.password = hashedPassword;
+        user.role = 'admin';
+        user.disabled = false;
+        if (totp) {
+            user.totp = totp;
+        } else {
+            delete user.totp;
+        }
+        delete user.totpSetup;
+        user.updatedAt = new Date().toISOString();
+        await writeUsers(users);
+    });
 }
 
 export {
+    USER_ROLES,
+    INVALID_CREDENTIALS_MESSAGE,
     getUsers,
     getUserByUsername,
+    listUsers,
     createUser,
     validateUser,
     updateUserPassword,
+    changeOwnPassword,
+    updateUserRole,
+    setUserDisabled,
+    updateUserAppAccess,
     deleteUser,
-    migrateAdminUser
+    migrateAdminUser,
+    restoreAdminUser,
+    provisionSsoUser,
+    isTwoFactorRequired,
+    createTotpSettings,
+    totpSetupUri,
+    beginTotpSetup,
+    enableTotp,
+    disableTotp,
+    verifyTwoFactor,
+    regenerateRecoveryCodes,
+    getTwoFactorStatus,
+    resetTotp,
+    API_TOKEN_SCOPES,
+    createApiToken,
+    listApiTokens,
+    revokeApiToken,
+    validateApiToken
 };
@@ -0,0 +1,75 @@
+/**
+ * Per-app access rules of a user: `[{ pattern: 'api-*', access: 'control' }, ...]`
+ * Patterns match app names with `*` (any characters) and `?` (one character).
+ * Users without rules (`appAccess: null`) keep the global behavior of their role:
+ * admins control every app, viewers view every app.
+ */
+
+const APP_ACCESS_LEVELS = ['view', 'control'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const globToRegExp = (pattern) => new RegExp(
+    '^' + pattern.split('*').map(part => part.split('?').map(escapeRegExp).join('.')).join('.*') + '$'
+)
+
+// Throw unless rules is null or a list of { pattern, access }
+const validateAppAccessRules = (rules) => {
+    if (rules === null) {
+        return
+    }
+    if (!Array.isArray(rules)) {
+        throw new Error('App access must be a list of rules or null')
+    }
+    for (const rule of rules) {
+        if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+            throw new Error('Every app access rule needs a pattern')
+        }
+        if (!APP_ACCESS_LEVELS.includes(rule.access)) {
+            throw new Error(`App access must be one of ${APP_ACCESS_LEVELS.join(', ')}`)
+        }
+    }
+}
+
+// Highest access of the user to an app: 'control', 'view' or null
+const getAppAccess = (user, appName) => {
+    if (!user) {
+        return null
+    }
+    if (!Array.isArray(user.appAccess)) {
+        return user.role === 'admin' ? 'control' : 'view'
+    }
+    const levels = user.appAccess
+        .filter(rule => globToRegExp(rule.pattern).test(appName))
+        .map(rule => APP_ACCESS_LEVELS.indexOf(rule.access))
+    return levels.length ? APP_ACCESS_LEVELS[Math.max(...levels)] : null
+}
+
+// Whether the user has at least `level` access to an app
+const canAccessApp = (user, appName, level = 'view') => {
+    const access = getAppAccess(user, appName)
+    return access !== null && APP_ACCESS_LEVELS.indexOf(access) >= APP_ACCESS_LEVELS.indexOf(level)
+}
+
+// Whether the user controls at least one app, e.g. to create API tokens beyond read
+const canControlAnyApp = (user) => {
+    if (!user) {
+        return false
+    }
+    if (!Array.isArray(user.appAccess)) {
+        return user.role === 'admin'
+    }
+    return user.appAccess.some(rule => rule.access === 'control')
+}
+
+// Apps the user may see, e.g. for the dashboard
+const filterVisibleApps = (user, apps) => apps.filter(app => canAccessApp(user, app.name))
+
+export {
+    APP_ACCESS_LEVELS,
+    validateAppAccessRules,
+    getAppAccess,
+    canAccessApp,
+    canControlAnyApp,
+    filterVisibleApps
+};
@@ -0,0 +1,83 @@
+import config from '../config/index.js';
+
+const { DIFF_MAX_TABLE_CELLS } = config.DEFAULTS;
+
+const splitLines = (text) => {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+};
+
+/**
+ * Line diff of two texts, from the longest common subsequence of their lines
+ * Returns the lines in order: `{ type: 'same' | 'removed' | 'added', text, oldLine, newLine }`,
+ * line numbers start at 1 and are null on the side the line is missing from.
+ * When the changed middle is too large for the LCS table (DIFF_MAX_TABLE_CELLS),
+ * it is returned as removed lines followed by added lines.
+ */
+const diffLines = (oldText, newText) => {
+    const oldLines = splitLines(oldText);
+    const newLines = splitLines(newText);
+
+    // Common head and tail lines are kept out of the table
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let end = 0;
+    while (end < oldLines.length - start && end < newLines.length - start
+        && oldLines[oldLines.length - 1 - end] === newLines[newLines.length - 1 - end]) {
+        end++;
+    }
+
+    const oldMiddle = oldLines.slice(start, oldLines.length - end);
+    const newMiddle = newLines.slice(start, newLines.length - end);
+    const result = [];
+    const same = (oldIndex, newIndex) => result.push({ type: 'same', text: oldLines[oldIndex], oldLine: oldIndex + 1, newLine: newIndex + 1 });
+    const removed = (index) => result.push({ type: 'removed', text: oldLines[index], oldLine: index + 1, newLine: null });
+    const added = (index) => result.push({ type: 'added', text: newLines[index], oldLine: null, newLine: index + 1 });
+
+    for (let k = 0; k < start; k++) {
+        same(k, k);
+    }
+
+    if (oldMiddle.length * newMiddle.length > DIFF_MAX_TABLE_CELLS) {
+        // Too many lines for the table, the middle is not matched line by line
+        oldMiddle.forEach((text, k) => removed(start + k));
+        newMiddle.forEach((text, k) => added(start + k));
+    } else {
+        const columns = newMiddle.length + 1;
+
+        // lengths[i * columns + j]: LCS length of oldMiddle from i and newMiddle from j
+        const lengths = new Uint32Array((oldMiddle.length + 1) * columns);
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                lengths[i * columns + j] = oldMiddle[i] === newMiddle[j]
+                    ? lengths[(i + 1) * columns + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * columns + j], lengths[i * columns + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length || j < newMiddle.length) {
+            if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+                same(start + i++, start + j++);
+            } else if (i < oldMiddle.length && (j === newMiddle.length || lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1])) {
+                removed(start + i++);
+            } else {
+                added(start + j++);
+            }
+        }
+    }
+
+    for (let k = end; k > 0; k--) {
+        same(oldLines.length - k, newLines.length - k);
+    }
+
+    return result;
+};
+
+export { diffLines };
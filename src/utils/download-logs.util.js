@@ -0,0 +1,96 @@
+import fs from 'fs-extra';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream';
+import { validateFilePath } from './path-validator.util.js';
+import { createTimeRangeFilter } from './log-timestamp.util.js';
+
+/**
+ * The current log file and the files pm2-logrotate rotated out of it
+ * pm2-logrotate names them `<name>__<date>.log`, with `.gz` appended when compression is on.
+ * Sorted newest first, the current file being the first entry.
+ */
+const listLogFiles = async (filePath) => {
+  const files = [];
+  const dir = path.dirname(filePath);
+  const ext = path.extname(filePath);
+  const prefix = `${path.basename(filePath, ext)}__`;
+
+  const current = await fs.stat(filePath).catch(() => null);
+  if (current && current.isFile()) {
+    files.push({ name: path.basename(filePath), size: current.size, modified: current.mtime, compressed: false, current: true });
+  }
+
+  const entries = await fs.readdir(dir).catch(() => []);
+  const rotated = [];
+  for (const name of entries) {
+    if (!name.startsWith(prefix) || !(name.endsWith(ext) || name.endsWith(`${ext}.gz`))) {
+      continue;
+    }
+    const stats = await fs.stat(path.join(dir, name)).catch(() => null);
+    if (stats && stats.isFile()) {
+      rotated.push({ name, size: stats.size, modified: stats.mtime, compressed: name.endsWith('.gz'), current: false });
+    }
+  }
+  rotated.sort((a, b) => b.modified - a.modified);
+
+  return [...files, ...rotated];
+}
+
+/**
+ * Build the download stream for a log file
+ * - `start` / `end` limit it to a byte range (end exclusive), uncompressed files only
+ * - `from` / `to` (ms) keep the lines logged in that time range
+ * - `gzip` compresses the output; compressed rotated files are sent as-is when nothing
+ *   has to be filtered, and decompressed otherwise
+ * Returns the stream and the file name to send it as.
+ */
+const createLogDownload = (params) => {
+  const { filePath, start = null, end = null, from = null, to = null, gzip = false } = params
+  const validatedPath = validateFilePath(filePath);
+  const compressed = validatedPath.endsWith('.gz');
+  const hasByteRange = start !== null || end !== null;
+  const hasTimeRange = from !== null || to !== null;
+  let fileName = path.basename(validatedPath, compressed ? '.gz' : '');
+
+  if (hasByteRange && compressed) {
+    throw new Error('Byte ranges are not supported for compressed files');
+  }
+  if (hasByteRange && start !== null && end !== null && end <= start) {
+    throw new Error('End must be greater than start');
+  }
+
+  const source = fs.createReadStream(validatedPath, {
+    ...(start !== null && { start }),
+    ...(end !== null && { end: end - 1 })
+  });
+
+  if (compressed && gzip && !hasTimeRange) {
+    return { stream: source, fileName: `${fileName}.gz` };
+  }
+
+  const streams = [source];
+  if (compressed) {
+    streams.push(zlib.createGunzip());
+  }
+  if (hasTimeRange) {
+    streams.push(createTimeRangeFilter({ from, to }));
+  }
+  if (gzip) {
+    streams.push(zlib.createGzip());
+    fileName = `${fileName}.gz`;
+  }
+
+  if (streams.length === 1) {
+    return { stream: source, fileName };
+  }
+
+  const stream = pipeline(streams, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      console.error('Log download failed:', err.message);
+    }
+  });
+  return { stream, fileName };
+}
+
+export { listLogFiles, createLogDownload };
@@ -0,0 +1,260 @@
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import dotenv from 'dotenv';
+import { execa } from 'execa';
+import config from '../config/index.js';
+import { validateFilePath, validateDirectoryPath } from './path-validator.util.js';
+import { generateRandomString } from './random.util.js';
+
+const { ECOSYSTEM_EVAL_TIMEOUT, ECOSYSTEM_EVAL_MEMORY_MB } = config.DEFAULTS;
+
+const ECOSYSTEM_EXTENSIONS = ['.js', '.cjs', '.json'];
+// Files on the server must be named like ecosystem files: ecosystem.config.js, ecosystem.prod.config.cjs, ecosystem.json...
+const ECOSYSTEM_FILE_NAME = /^ecosystem([.-][\w-]+)*\.(config\.c?js|json)$/;
+const EXEC_MODES = {
+    fork: 'fork',
+    fork_mode: 'fork',
+    cluster: 'cluster',
+    cluster_mode: 'cluster'
+};
+
+// Prints the exports of the CommonJS file given as argument as JSON
+const EVAL_SCRIPT = 'process.stdout.write(JSON.stringify(require(process.argv[1])))';
+
+/**
+ * Evaluate a CommonJS ecosystem file in a short-lived Node process, never in PM2 WebUI itself
+ * It gets PATH and HOME only, a memory limit and ECOSYSTEM_EVAL_TIMEOUT to print its exports.
+ */
+const requireEcosystemFile = async (filePath) => {
+    try {
+        const { stdout } = await execa(process.execPath, [`--max-old-space-size=${ECOSYSTEM_EVAL_MEMORY_MB}`, '-e', EVAL_SCRIPT, filePath], {
+            cwd: path.dirname(filePath),
+            env: { PATH: process.env.PATH, HOME: process.env.HOME },
+            extendEnv: false,
+            stdin: 'ignore',
+            timeout: ECOSYSTEM_EVAL_TIMEOUT,
+            maxBuffer: 1024 * 1024
+        });
+        return JSON.parse(stdout);
+    } catch (err) {
+        if (err.timedOut) {
+            throw new Error(`Ecosystem file did not load within ${ECOSYSTEM_EVAL_TIMEOUT / 1000}s`);
+        }
+        // The first line of the error output names the problem, the rest is the stack
+        const reason = err.stderr?.split('\n').find(line => /^\w*Error\b/.test(line)) || err.shortMessage || err.message;
+        throw new Error(reason.trim());
+    }
+}
+
+const parseEcosystemFile = async (filePath) => {
+    const extension = path.extname(filePath);
+
+    if (!ECOSYSTEM_EXTENSIONS.includes(extension) || !ECOSYSTEM_FILE_NAME.test(path.basename(filePath))) {
+        throw new Error('Ecosystem file must be named like ecosystem.config.js, ecosystem.config.cjs or ecosystem.json');
+    }
+
+    if (extension === '.json') {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+        } catch (err) {
+            throw new Error(`Invalid JSON in ecosystem file: ${err.message}`);
+        }
+    }
+
+    return requireEcosystemFile(filePath);
+}
+
+/**
+ * Parse uploaded ecosystem content
+ * JS content is written to a temporary .cjs file and evaluated in a separate process, see requireEcosystemFile
+ */
+const parseEcosystemContent = async (content, fileName = 'ecosystem.config.json') => {
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('Ecosystem file is empty');
+    }
+
+    const extension = path.extname(fileName);
+
+    if (!ECOSYSTEM_EXTENSIONS.includes(extension)) {
+        throw new Error('Ecosystem file must be a .js, .cjs or .json file');
+    }
+
+    if (extension === '.json') {
+        try {
+            return JSON.parse(content);
+        } catch (err) {
+            throw new Error(`Invalid JSON in ecosystem file: ${err.message}`);
+        }
+    }
+
+    const tmpPath = path.join(os.tmpdir(), `pm2-webui-ecosystem-${generateRandomString(8)}.cjs`);
+    try {
+        await fs.writeFile(tmpPath, content, 'utf-8');
+        return await requireEcosystemFile(tmpPath);
+    } catch (err) {
+        throw new Error(`Invalid ecosystem file: ${err.message}`);
+    } finally {
+        await fs.remove(tmpPath);
+    }
+}
+
+const parseInstances = (instances) => {
+    if (instances === undefined || instances === null || instances === '') {
+        return undefined;
+    }
+    if (instances === 'max') {
+        return 'max';
+    }
+
+    const value = parseInt(instances, 10);
+    if (isNaN(value) || String(value) !== String(instances).trim()) {
+        throw new Error('Instances must be a number or "max"');
+    }
+    return value;
+}
+
+/**
+ * Validate one app definition and resolve its paths
+ * Relative cwd is resolved against baseDir (the ecosystem file directory), relative
+ * script paths against the app cwd. Bare commands such as `npm` are left for PM2 to
+ * resolve from PATH.
+ */
+const normalizeAppConfig = (app, baseDir = null) => {
+    if (!app || typeof app !== 'object' || Array.isArray(app)) {
+        throw new Error('Each app must be an object');
+    }
+
+    if (!app.script || typeof app.script !== 'string') {
+        throw new Error(app.name ? `App ${app.name} must define a script` : 'Each app must define a script');
+    }
+
+    let cwd = app.cwd;
+    if (cwd) {
+        if (!path.isAbsolute(cwd) && !baseDir) {
+            throw new Error(`Working directory of ${app.name || app.script} must be an absolute path`);
+        }
+        cwd = path.resolve(baseDir || '/', cwd);
+    } else if (baseDir) {
+        cwd = baseDir;
+    } else if (path.isAbsolute(app.script)) {
+        cwd = path.dirname(app.script);
+    } else {
+        throw new Error(`App ${app.name || app.script} must define an absolute working directory`);
+    }
+    cwd = validateDirectoryPath(cwd);
+
+    const isCommand = !app.script.includes('/') && !fs.existsSync(path.join(cwd, app.script));
+    const script = isCommand ? app.script : validateFilePath(path.resolve(cwd, app.script));
+
+    const name = app.name || path.basename(script, path.extname(script));
+
+    const normalized = { ...app, name, script, cwd };
+
+    if (app.exec_mode !== undefined && app.exec_mode !== '') {
+        if (!EXEC_MODES[app.exec_mode]) {
+            throw new Error('Exec mode must be fork or cluster');
+        }
+        normalized.exec_mode = EXEC_MODES[app.exec_mode];
+    } else {
+        delete normalized.exec_mode;
+    }
+
+    const instances = parseInstances(app.instances);
+    if (instances === undefined) {
+        delete normalized.instances;
+    } else {
+        normalized.instances = instances;
+    }
+
+    if (!app.interpreter) {
+        delete normalized.interpreter;
+    }
+    if (!app.args || (Array.isArray(app.args) && app.args.length === 0)) {
+        delete normalized.args;
+    }
+
+    if (app.env !== undefined) {
+        if (!app.env || typeof app.env !== 'object' || Array.isArray(app.env)) {
+            throw new Error('Env must be an object of key/value pairs');
+        }
+        normalized.env = Object.fromEntries(Object.entries(app.env).map(([key, value]) => [key, String(value)]));
+    }
+
+    return normalized;
+}
+
+/**
+ * Turn an ecosystem object ({ apps: [...] }, an array or a single app) into validated app configs
+ */
+const normalizeEcosystem = (ecosystem, baseDir = null) => {
+    let apps = ecosystem && ecosystem.apps ? ecosystem.apps : ecosystem;
+    if (!Array.isArray(apps)) {
+        apps = [apps];
+    }
+    if (apps.length === 0) {
+        throw new Error('Ecosystem does not define any apps');
+    }
+    return apps.map(app => normalizeAppConfig(app, baseDir));
+}
+
+/**
+ * Build an app config from the "New app" form
+ * env is given as KEY=VALUE lines, in .env syntax
+ */
+const appConfigFromForm = (form = {}) => {
+    const app = {
+        name: form.name?.trim() || undefined,
+        script: form.script?.trim(),
+        cwd: form.cwd?.trim() || undefined,
+        args: form.args?.trim() || undefined,
+        interpreter: form.interpreter?.trim() || undefined,
+        instances: form.instances,
+        exec_mode: form.exec_mode
+    };
+
+    if (typeof form.env === 'string' && form.env.trim()) {
+        app.env = dotenv.parse(form.env);
+    }
+
+    return app;
+}
+
+const isWithin = (parent, child) => {
+    const relative = path.relative(parent, child);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve the launch request to validated app configs
+ * source is one of: form, file (path on this server), upload (file content)
+ */
+const resolveEcosystem = async ({ source, app, filePath, fileName, content } = {}) => {
+    switch (source) {
+        case 'form':
+            return normalizeEcosystem(appConfigFromForm(app));
+
+        case 'file': {
+            const validatedPath = validateFilePath(filePath);
+            const baseDir = path.dirname(validatedPath);
+            const apps = normalizeEcosystem(await parseEcosystemFile(validatedPath), baseDir);
+
+            // The file belongs to the project of its apps: inside their working directory, or the other way round
+            const outside = apps.find(app => !isWithin(app.cwd, baseDir) && !isWithin(baseDir, app.cwd));
+            if (outside) {
+                throw new Error(`Working directory of ${outside.name} must contain the ecosystem file or be inside its directory`);
+            }
+            return apps;
+        }
+
+        case 'upload': {
+            const ecosystem = await parseEcosystemContent(content, fileName);
+            return normalizeEcosystem(ecosystem);
+        }
+
+        default:
+            throw new Error('Source must be form, file or upload');
+    }
+}
+
+export { parseEcosystemFile, parseEcosystemContent, normalizeEcosystem, resolveEcosystem };
@@ -1,6 +1,8 @@
+import dotenv from 'dotenv';
 import fs from 'fs-extra';
 import { createRequire } from 'module';
 import path from 'path';
+import config from '../config/index.js';
 import { validateDirectoryPath } from './path-validator.util.js';
 
 const require = createRequire(import.meta.url);
@@ -68,4 +70,249 @@ const writeEnvFileContent = async (wd, content) => {
     }
 }
 
-export { getEnvFileContent, getEnvDataSync, setEnvDataSync, writeEnvFileContent };
\ No newline at end of file
+/**
+ * Structured .env editing, following the syntax of dotenv:
+ * - `KEY=value`, optionally prefixed with `export`
+ * - values in '', "" or `` quotes may span several lines, unquoted values end at the first #
+ * - # starts a comment, on its own line or after the value
+ * Entries keep comments, blank lines and the order of the file:
+ * `{ type: 'variable', key, value, quote, export, comment }`, `{ type: 'comment', text }`, `{ type: 'blank' }`
+ * Values are kept as written between the quotes, so a save writes them back unchanged.
+ */
+
+const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]*$/;
+const ENV_QUOTES = ['"', "'", '`'];
+const MASKED_ENV_VALUE = '********';
+
+// Index of the closing quote, skipping backslash escapes, or -1
+const findClosingQuote = (text, quote) => {
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === quote) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+const parseEnvContent = (content) => {
+    const lines = content.replace(/\r\n?/g, '\n').split('\n');
+    // The final newline does not start another line
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+
+    const entries = [];
+    const errors = [];
+    const keyLines = new Map();
+
+    for (let i = 0; i < lines.length; i++) {
+        const lineNumber = i + 1;
+        const trimmed = lines[i].trim();
+
+        if (!trimmed) {
+            entries.push({ type: 'blank' });
+            continue;
+        }
+        if (trimmed.startsWith('#')) {
+            entries.push({ type: 'comment', text: trimmed });
+            continue;
+        }
+
+        const match = lines[i].match(/^\s*(export\s+)?([^=\s]*)\s*=\s*(.*)$/);
+        if (!match) {
+            errors.push(`Line ${lineNumber}: expected KEY=value`);
+            continue;
+        }
+
+        const [, exportPrefix, key, rest] = match;
+        let value = rest;
+        let quote = '';
+        let comment = null;
+
+        if (ENV_QUOTES.includes(rest[0])) {
+            quote = rest[0];
+            let text = rest.slice(1);
+            let end = findClosingQuote(text, quote);
+            while (end === -1 && i + 1 < lines.length) {
+                text += '\n' + lines[++i];
+                end = findClosingQuote(text, quote);
+            }
+            if (end === -1) {
+                errors.push(`Line ${lineNumber}: missing closing ${quote} quote`);
+                continue;
+            }
+            value = text.slice(0, end);
+            const after = text.slice(end + 1).trim();
+            if (after && !after.startsWith('#')) {
+                errors.push(`Line ${lineNumber}: unexpected text after the closing quote`);
+                continue;
+            }
+            comment = after || null;
+        } else if (rest.includes('#')) {
+            value = rest.slice(0, rest.indexOf('#')).trim();
+            comment = rest.slice(rest.indexOf('#'));
+        } else {
+            value = rest.trim();
+        }
+
+        if (!ENV_KEY_PATTERN.test(key)) {
+            errors.push(`Line ${lineNumber}: invalid variable name "${key}"`);
+            continue;
+        }
+        if (keyLines.has(key)) {
+            errors.push(`Line ${lineNumber}: ${key} is already set on line ${keyLines.get(key)}`);
+            continue;
+        }
+        keyLines.set(key, lineNumber);
+
+        entries.push({ type: 'variable', key, value, quote, export: Boolean(exportPrefix), comment });
+    }
+
+    return { entries, errors };
+};
+
+// Keep the quote of the entry when the value allows it, otherwise pick one that does
+const pickQuote = (value, quote) => {
+    const fits = (candidate) => findClosingQuote(value, candidate) === -1 && !value.endsWith('\\');
+    if (quote && fits(quote)) {
+        return quote;
+    }
+    if (!/[#\n]/.test(value) && value === value.trim() && !ENV_QUOTES.includes(value[0])) {
+        return '';
+    }
+    return ENV_QUOTES.find(fits) ?? null;
+};
+
+// Content of the .env file for a list of entries, with the same checks as parseEnvContent
+const serializeEnvEntries = (entries) => {
+    const lines = [];
+    const errors = [];
+    const keyLines = new Map();
+
+    if (!Array.isArray(entries)) {
+        return { content: null, errors: ['Entries must be a list'] };
+    }
+
+    for (const entry of entries) {
+        const lineNumber = lines.length + 1;
+        // Invalid entries still take a line, so the next errors point to the right lines
+        const fail = (message) => {
+            errors.push(`Line ${lineNumber}: ${message}`);
+            lines.push('');
+        };
+
+        if (entry?.type === 'blank') {
+            lines.push('');
+            continue;
+        }
+        if (entry?.type === 'comment') {
+            const text = String(entry.text ?? '').trim();
+            if (text.includes('\n')) {
+                fail('comments must fit on one line');
+                continue;
+            }
+            lines.push(text.startsWith('#') ? text : `# ${text}`);
+            continue;
+        }
+        if (entry?.type !== 'variable') {
+            fail('unknown entry type');
+            continue;
+        }
+
+        const key = String(entry.key ?? '').trim();
+        const value = String(entry.value ?? '');
+        if (!ENV_KEY_PATTERN.test(key)) {
+            fail(`invalid variable name "${key}"`);
+            continue;
+        }
+        if (keyLines.has(key)) {
+            fail(`${key} is already set on line ${keyLines.get(key)}`);
+            continue;
+        }
+        keyLines.set(key, lineNumber);
+
+        const quote = pickQuote(value, ENV_QUOTES.includes(entry.quote) ? entry.quote : '');
+        if (quote === null) {
+            fail(`the value of ${key} contains every kind of quote and cannot be written`);
+            continue;
+        }
+
+        const comment = entry.comment ? String(entry.comment).trim() : '';
+        if (comment && (!comment.startsWith('#') || comment.includes('\n'))) {
+            fail(`the comment of ${key} must start with # and fit on one line`);
+            continue;
+        }
+
+        const line = `${entry.export ? 'export ' : ''}${key}=${quote}${value}${quote}${comment ? ` ${comment}` : ''}`;
+        lines.push(...line.split('\n'));
+    }
+
+    return { content: errors.length ? null : lines.map(line => `${line}\n`).join(''), errors };
+};
+
+// Secrets by name (ENV_SECRET_PATTERNS) or URLs with a password, e.g. database connection strings
+const isSecretEnvEntry = (entry) => {
+    const key = entry.key.toUpperCase();
+    return config.ENV_SECRET_PATTERNS.some(pattern => key.includes(pattern))
+        || /^[a-z][a-z0-9+.-]*:\/\/[^/\s:@]*:[^/\s@]+@/i.test(entry.value);
+};
+
+// Flag the secret variables, and hide their values unless the user can reveal them
+const maskEnvEntries = (entries, { reveal = false } = {}) => entries.map(entry => {
+    if (entry.type !== 'variable') {
+        return entry;
+    }
+    const secret = isSecretEnvEntry(entry);
+    return secret && !reveal
+        ? { ...entry, value: null, secret, masked: true }
+        : { ...entry, secret, masked: false };
+});
+
+// The file as text with secret values replaced, for users who cannot reveal them
+const maskEnvContent = (content) => {
+    const { entries, errors } = parseEnvContent(content);
+    if (errors.length) {
+        return null;
+    }
+    return serializeEnvEntries(entries.map(entry => entry.type === 'variable' && isSecretEnvEntry(entry)
+        ? { ...entry, value: MASKED_ENV_VALUE }
+        : entry
+    )).content;
+};
+
+// Values as the app reads them with dotenv, quotes removed and escapes expanded
+const getEnvValues = (content) => dotenv.parse(content);
+
+/**
+ * Variables of the running process next to the values of the .env file, sorted by name
+ * status: applied (same value), pending (different value), missing (not in the process), null when not in the file
+ */
+const describeProcessEnv = (processEnv, fileValues, { reveal = false } = {}) => {
+    const keys = [...new Set([...Object.keys(processEnv), ...Object.keys(fileValues)])].sort();
+    return keys.map(key => {
+        const value = key in processEnv ? processEnv[key] : null;
+        const status = !(key in fileValues) ? null
+            : value === null ? 'missing'
+            : value === fileValues[key] ? 'applied'
+            : 'pending';
+        const secret = isSecretEnvEntry({ key, value: value ?? fileValues[key] });
+        const masked = secret && !reveal && value !== null;
+        return { key, value: masked ? null : value, status, secret, masked };
+    });
+};
+
+export {
+    getEnvFileContent,
+    getEnvDataSync,
+    setEnvDataSync,
+    writeEnvFileContent,
+    parseEnvContent,
+    serializeEnvEntries,
+    isSecretEnvEntry,
+    maskEnvEntries,
+    maskEnvContent,
+    getEnvValues,
+    describeProcessEnv
+};
@@ -1,3 +1,5 @@
+// Display helpers for the views and the Telegram bot, the PM2 provider returns raw values
+
 const bytesToSize = function(bytes, precision) {
     var kilobyte = 1024
     var megabyte = kilobyte * 1024
@@ -20,6 +22,9 @@ const bytesToSize = function(bytes, precision) {
 }
 
 const timeSince = function(date) {
+    if (!date) {
+      return '-'
+    }
     var seconds = Math.floor((new Date() - date) / 1000)
   
     var interval = Math.floor(seconds / 31536000)
@@ -21,7 +21,7 @@ export const getCurrentGitCommit = async (cwd) => {
 export const getRemoteGitCommit = async (cwd) => {
     try {
         const branch = await getCurrentGitBranch(cwd);
-        if (!branch) return null;
+        if (!branch || branch === 'HEAD') return null;
         
         // Fetch latest changes from remote without merging
         await execa('git', ['fetch'], { cwd });
@@ -36,6 +36,11 @@ export const getRemoteGitCommit = async (cwd) => {
 
 export const checkForUpdates = async (cwd) => {
     try {
+        // A tag or commit checked out has no branch to update from
+        if (await getCurrentGitBranch(cwd) === 'HEAD') {
+            return { hasUpdates: false, message: 'Not on a branch (detached HEAD)', currentCommit: await getCurrentGitCommit(cwd) };
+        }
+
         const currentCommit = await getCurrentGitCommit(cwd);
         const remoteCommit = await getRemoteGitCommit(cwd);
         
@@ -74,6 +79,9 @@ export const pullUpdates = async (cwd) => {
         if (!branch) {
             return { success: false, message: 'Unable to determine current branch' };
         }
+        if (branch === 'HEAD') {
+            return { success: false, message: 'Not on a branch, switch to a branch to pull' };
+        }
         
         // Pull latest changes
         const { stdout, stderr } = await execa('git', ['pull', 'origin', branch], { cwd });
@@ -91,4 +99,163 @@ export const pullUpdates = async (cwd) => {
             output: err.stderr || err.stdout
         };
     }
-};
\ No newline at end of file
+};
+
+// Field and record separators of the formats below, control characters cannot appear in commit subjects or ref names
+const FIELD = '\x1f';
+const RECORD = '\x1e';
+
+const parseRecords = (stdout, fields) => stdout
+    .split(RECORD)
+    .map(record => record.trim())
+    .filter(Boolean)
+    .map(record => Object.fromEntries(record.split(FIELD).map((value, index) => [fields[index], value])));
+
+// Branch, tag or commit as typed by a user: no option lookalikes, whitespace or revision operators
+const isValidGitRef = (ref) => typeof ref === 'string' && /^[^\s\-~^:?*[\\][^\s~^:?*[\\]*$/.test(ref) && !ref.includes('..');
+
+const refExists = async (cwd, ref) => {
+    try {
+        await execa('git', ['rev-parse', '--verify', '--quiet', ref], { cwd });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+const fetchRemote = async (cwd) => {
+    try {
+        await execa('git', ['fetch', '--prune', '--tags'], { cwd });
+    } catch (err) {
+        // Offline or no remote, what is already known is listed
+    }
+};
+
+/**
+ * Branches of origin and tags, newest first, after a fetch
+ * Branches: { name, commit, date, subject }, names without the `origin/` prefix. Tags: the same, `commit` is the tagged commit.
+ */
+export const listGitRefs = async (cwd) => {
+    await fetchRemote(cwd);
+
+    const fields = ['name', 'commit', 'date', 'subject'];
+    const [{ stdout: branches }, { stdout: tags }] = await Promise.all([
+        execa('git', ['for-each-ref', '--sort=-committerdate', `--format=%(refname:strip=3)${FIELD}%(objectname:short)${FIELD}%(committerdate:iso-strict)${FIELD}%(subject)${RECORD}`, 'refs/remotes/origin'], { cwd }),
+        execa('git', ['for-each-ref', '--sort=-creatordate', `--format=%(refname:strip=2)${FIELD}%(if)%(*objectname)%(then)%(*objectname:short)%(else)%(objectname:short)%(end)${FIELD}%(creatordate:iso-strict)${FIELD}%(if)%(*subject)%(then)%(*subject)%(else)%(subject)%(end)${RECORD}`, 'refs/tags'], { cwd })
+    ]);
+
+    return {
+        branches: parseRecords(branches, fields).filter(branch => branch.name !== 'HEAD'),
+        tags: parseRecords(tags, fields)
+    };
+};
+
+const readLog = async (cwd, revision, limit) => {
+    const { stdout } = await execa('git', ['log', `--max-count=${limit}`, `--format=%H${FIELD}%h${FIELD}%an${FIELD}%aI${FIELD}%s${RECORD}`, revision, '--'], { cwd });
+    return parseRecords(stdout, ['hash', 'shortHash', 'author', 'date', 'subject']);
+};
+
+// Last commits of a branch, tag or commit: { hash, shortHash, author, date, subject }, newest first
+export const getGitLog = async (cwd, { ref = 'HEAD', limit = 20 } = {}) => {
+    if (!isValidGitRef(ref)) {
+        throw new Error('Invalid branch, tag or commit');
+    }
+    if (ref !== 'HEAD' && !await refExists(cwd, `${ref}^{commit}`) && await refExists(cwd, `refs/remotes/origin/${ref}`)) {
+        // Branches listed by listGitRefs that were never checked out
+        ref = `origin/${ref}`;
+    }
+    if (!await refExists(cwd, `${ref}^{commit}`)) {
+        throw new Error(`Unknown branch, tag or commit: ${ref}`);
+    }
+    return readLog(cwd, ref, limit);
+};
+
+// Commits a pull of the current branch would bring in, after a fetch
+export const getIncomingCommits = async (cwd, { limit = 20 } = {}) => {
+    const branch = await getCurrentGitBranch(cwd);
+    if (!branch || branch === 'HEAD') {
+        return { branch: null, total: 0, commits: [], message: 'Not on a branch (detached HEAD)' };
+    }
+
+    await fetchRemote(cwd);
+
+    if (!await refExists(cwd, `refs/remotes/origin/${branch}`)) {
+        return { branch, total: 0, commits: [], message: `Branch ${branch} is not on origin` };
+    }
+
+    const { stdout } = await execa('git', ['rev-list', '--count', `HEAD..origin/${branch}`], { cwd });
+    const total = parseInt(stdout.trim());
+    return {
+        branch,
+        total,
+        commits: await readLog(cwd, `HEAD..origin/${branch}`, limit),
+        message: total ? `${total} commit${total > 1 ? 's' : ''} behind` : 'Up to date'
+    };
+};
+
+// Tracked files changed since the last commit, as `git status --short` lists them, or an empty string
+export const getUncommittedChanges = async (cwd) => {
+    const { stdout } = await execa('git', ['status', '--porcelain', '--untracked-files=no'], { cwd });
+    return stdout.trim();
+};
+
+// Files that differ between two commits
+export const getChangedFiles = async (cwd, from, to) => {
+    const { stdout } = await execa('git', ['diff', '--name-only', from, to, '--'], { cwd });
+    return stdout.split('\n').filter(Boolean);
+};
+
+// Put the checked out branch and the tracked files back to a commit, dropping a failed merge too
+export const resetToCommit = async (cwd, commit) => {
+    const { stdout, stderr } = await execa('git', ['reset', '--hard', commit], { cwd });
+    return [stdout, stderr].filter(Boolean).join('\n');
+};
+
+/**
+ * Switch the working tree to a branch, a tag or a commit
+ * Branches only on origin get a local tracking branch, tags and commits are checked out detached.
+ * Refused when tracked files have uncommitted changes, so nothing is lost.
+ */
+export const checkoutGitRef = async (cwd, ref) => {
+    try {
+        if (!isValidGitRef(ref)) {
+            return { success: false, message: 'Invalid branch, tag or commit' };
+        }
+
+        const changes = await getUncommittedChanges(cwd);
+        if (changes) {
+            return { success: false, message: 'The working tree has uncommitted changes', output: changes };
+        }
+
+        let args;
+        if (await refExists(cwd, `refs/heads/${ref}`)) {
+            args = ['checkout', ref];
+        } else if (await refExists(cwd, `refs/remotes/origin/${ref}`)) {
+            args = ['checkout', '-b', ref, '--track', `origin/${ref}`];
+        } else if (await refExists(cwd, `refs/tags/${ref}^{commit}`)) {
+            args = ['checkout', '--detach', `refs/tags/${ref}`];
+        } else if (await refExists(cwd, `${ref}^{commit}`)) {
+            args = ['checkout', '--detach', ref];
+        } else {
+            return { success: false, message: `Unknown branch, tag or commit: ${ref}` };
+        }
+
+        const { stdout, stderr } = await execa('git', args, { cwd });
+        const branch = await getCurrentGitBranch(cwd);
+
+        return {
+            success: true,
+            message: `Switched to ${ref}`,
+            output: [stdout, stderr].filter(Boolean).join('\n'),
+            branch: branch === 'HEAD' ? null : branch,
+            commit: await getCurrentGitCommit(cwd)
+        };
+    } catch (err) {
+        return {
+            success: false,
+            message: `Failed to switch to ${ref}`,
+            error: err.message,
+            output: err.stderr || err.stdout
+        };
+    }
+};
@@ -0,0 +1,132 @@
+const ANSI_ESCAPE = /\u001b\[[0-9;]*[A-Za-z]/g;
+// Text PM2 may put before the JSON object, e.g. a `--time` timestamp
+const JSON_PREFIX = /^(\[?\d{4}-\d{2}-\d{2}[T ][^{]*?:?\s*)?(?=\{)/;
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+// winston / syslog level names mapped to the pino / bunyan ones
+const LEVEL_ALIASES = {
+  silly: 'trace',
+  verbose: 'debug',
+  http: 'info',
+  notice: 'info',
+  warning: 'warn',
+  err: 'error',
+  crit: 'fatal',
+  critical: 'fatal',
+  alert: 'fatal',
+  emerg: 'fatal'
+};
+const LEVEL_BADGES = {
+  trace: 'bg-secondary',
+  debug: 'bg-secondary',
+  info: 'bg-azure',
+  warn: 'bg-yellow',
+  error: 'bg-red',
+  fatal: 'bg-purple'
+};
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse a JSON log line (pino, bunyan, winston json format)
+ * Returns { prefix, entry } or null when the line is not a JSON object
+ */
+const parseJsonLogLine = (line) => {
+  const text = line.replace(ANSI_ESCAPE, '').trimEnd();
+  if (!text.endsWith('}')) {
+    return null;
+  }
+  const match = JSON_PREFIX.exec(text);
+  if (!match) {
+    return null;
+  }
+  const prefix = match[1] || '';
+  try {
+    const entry = JSON.parse(text.slice(prefix.length));
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return null;
+    }
+    return { prefix, entry };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Level name of a parsed entry: pino/bunyan numbers (10-60) or level strings
+ */
+const getLogLevel = (entry) => {
+  const value = entry.level ?? entry.severity ?? entry.lvl;
+  if (typeof value === 'number') {
+    return LEVELS[Math.min(Math.max(Math.ceil(value / 10) - 1, 0), LEVELS.length - 1)];
+  }
+  if (typeof value === 'string') {
+    const name = value.toLowerCase();
+    return LEVELS.includes(name) ? name : LEVEL_ALIASES[name] || null;
+  }
+  return null;
+}
+
+const getField = (entry, fieldPath) => {
+  return fieldPath.split('.').reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), entry);
+}
+
+/**
+ * Build a line predicate from API filters
+ * - `level`: minimum level name, e.g. `warn` keeps warn, error and fatal
+ * - `fields`: `path=value` conditions on nested fields, e.g. `req.id=abc`, all must match
+ * Lines that are not JSON never match. Returns null when there is nothing to filter on.
+ * Throws on an unknown level or a malformed field condition.
+ */
+const createJsonLogFilter = ({ level = null, fields = [] }) => {
+  if (level && !LEVELS.includes(level)) {
+    throw new Error(`Level must be one of ${LEVELS.join(', ')}`);
+  }
+  const conditions = (Array.isArray(fields) ? fields : [fields]).filter(Boolean).map(field => {
+    const separator = field.indexOf('=');
+    if (separator < 1) {
+      throw new Error('Field filters must look like path=value');
+    }
+    return { path: field.slice(0, separator).trim(), value: field.slice(separator + 1) };
+  });
+
+  if (!level && conditions.length === 0) {
+    return null;
+  }
+
+  const minLevel = level ? LEVELS.indexOf(level) : -1;
+  return (line) => {
+    const parsed = parseJsonLogLine(line);
+    if (!parsed) {
+      return false;
+    }
+    if (minLevel >= 0 && LEVELS.indexOf(getLogLevel(parsed.entry)) < minLevel) {
+      return false;
+    }
+    return conditions.every(({ path, value }) => {
+      const actual = getField(parsed.entry, path);
+      return actual !== undefined && actual !== null && typeof actual !== 'object' && String(actual) === value;
+    });
+  };
+}
+
+/**
+ * Collapsible HTML for a parsed JSON log line: level badge and message, full entry on expand
+ */
+const renderJsonLog = ({ prefix, entry }) => {
+  const level = getLogLevel(entry);
+  const message = entry.msg ?? entry.message ?? '';
+  const badge = level ? `<span class="badge ${LEVEL_BADGES[level]} me-1">${level.toUpperCase()}</span>` : '';
+  return `<details class="log-json d-inline-block align-top" data-level="${level || ''}">`
+    + `<summary>${escapeHtml(prefix)}${badge}${escapeHtml(typeof message === 'string' ? message : JSON.stringify(message))}</summary>`
+    + `<pre class="bg-dark text-white m-0 p-1">${escapeHtml(JSON.stringify(entry, null, 2))}</pre>`
+    + '</details>';
+}
+
+export { parseJsonLogLine, getLogLevel, createJsonLogFilter, renderJsonLog };
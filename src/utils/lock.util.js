@@ -0,0 +1,20 @@
+/**
+ * Tasks sharing a key run one after the other, e.g. the read-modify-write of a per-app store file,
+ * so two of them cannot drop each other's changes. A failed task does not block the next ones.
+ */
+const createKeyedLock = () => {
+    const locks = new Map();
+
+    return (key, task) => {
+        const run = (locks.get(key) ?? Promise.resolve()).catch(() => {}).then(task);
+        locks.set(key, run);
+        run.catch(() => {}).finally(() => {
+            if (locks.get(key) === run) {
+                locks.delete(key);
+            }
+        });
+        return run;
+    };
+};
+
+export { createKeyedLock };
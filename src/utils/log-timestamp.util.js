@@ -0,0 +1,79 @@
+import { Transform } from 'stream';
+
+const NEWLINE = 10;
+const ANSI_ESCAPE = /\u001b\[[0-9;]*[A-Za-z]/g;
+// PM2 `--time` / `log_date_format` prefixes, e.g. "2024-01-15T10:30:00: ", "[2024-01-15 10:30:00.123 +01:00]"
+const TIMESTAMP_PREFIX = /^\[?(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?)\s?(Z|[+-]\d{2}:?\d{2})?/;
+
+/**
+ * Time of a log line in ms, from its leading timestamp
+ * Timestamps without a timezone are in server local time, as PM2 writes them.
+ * Returns null when the line does not start with a timestamp.
+ */
+const parseLogTimestamp = (line) => {
+  const match = TIMESTAMP_PREFIX.exec(line.replace(ANSI_ESCAPE, ''));
+  if (!match) {
+    return null;
+  }
+  const [, date, time, zone = ''] = match;
+  const timestamp = Date.parse(`${date}T${time.replace(',', '.')}${zone}`);
+  return isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Parse a time range bound given as epoch ms or a date string
+ * Throws on values that are not a valid date
+ */
+const parseTimeParam = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const timestamp = /^\d+$/.test(String(value)) ? parseInt(value, 10) : Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw new Error(`${name} must be a date or a timestamp in ms`);
+  }
+  return timestamp;
+}
+
+/**
+ * Transform stream that keeps the lines logged between `from` and `to` (ms, inclusive)
+ * Lines without a timestamp (stack traces, multi-line output) follow the line before them.
+ */
+const createTimeRangeFilter = ({ from = null, to = null }) => {
+  let partial = Buffer.alloc(0);
+  let inRange = false;
+
+  const filterLine = (line) => {
+    const timestamp = parseLogTimestamp(line.toString('utf-8'));
+    if (timestamp !== null) {
+      inRange = (from === null || timestamp >= from) && (to === null || timestamp <= to);
+    }
+    return inRange;
+  }
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const data = partial.length > 0 ? Buffer.concat([partial, chunk]) : chunk;
+      const kept = [];
+      let lineStart = 0;
+      let newline = data.indexOf(NEWLINE);
+
+      while (newline !== -1) {
+        const line = data.subarray(lineStart, newline + 1);
+        if (filterLine(line)) {
+          kept.push(line);
+        }
+        lineStart = newline + 1;
+        newline = data.indexOf(NEWLINE, lineStart);
+      }
+
+      partial = data.subarray(lineStart);
+      callback(null, kept.length > 0 ? Buffer.concat(kept) : undefined);
+    },
+    flush(callback) {
+      callback(null, partial.length > 0 && filterLine(partial) ? partial : undefined);
+    }
+  });
+}
+
+export { parseLogTimestamp, parseTimeParam, createTimeRangeFilter };
@@ -0,0 +1,58 @@
+// PM2 process states, each exported as a 0/1 series so dashboards can alert on any of them
+const PROCESS_STATUSES = ['online', 'launching', 'stopping', 'stopped', 'errored', 'one-launch-status'];
+
+const escapeLabelValue = (value) => {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+};
+
+const formatLabels = (labels) => {
+    return Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',');
+};
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return 'NaN';
+    }
+    return Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : '-Inf');
+};
+
+/**
+ * Render process stats from listProcessStats() in the Prometheus text exposition format (0.0.4)
+ * Every series is labelled with the app `name` and `pm_id`; custom @pm2/io metrics are
+ * exported as one `pm2_process_axm_metric` family with `metric` and `unit` labels.
+ */
+const formatPrometheusMetrics = (processes, now = Date.now()) => {
+    const families = [
+        { name: 'pm2_process_status', type: 'gauge', help: 'Process status, 1 for the current status', samples: [] },
+        { name: 'pm2_process_cpu_percent', type: 'gauge', help: 'Process CPU usage in percent', samples: [] },
+        { name: 'pm2_process_memory_bytes', type: 'gauge', help: 'Process resident memory in bytes', samples: [] },
+        { name: 'pm2_process_restarts_total', type: 'counter', help: 'Number of restarts since the process was started', samples: [] },
+        { name: 'pm2_process_unstable_restarts_total', type: 'counter', help: 'Number of restarts before min_uptime was reached', samples: [] },
+        { name: 'pm2_process_uptime_seconds', type: 'gauge', help: 'Seconds since the process came online, 0 when it is not online', samples: [] },
+        { name: 'pm2_process_axm_metric', type: 'gauge', help: 'Custom metric reported by the process through @pm2/io', samples: [] }
+    ];
+    const [status, cpu, memory, restarts, unstableRestarts, uptime, axm] = families;
+
+    for (const proc of processes) {
+        const labels = { name: proc.name, pm_id: proc.pm_id };
+        for (const value of PROCESS_STATUSES) {
+            status.samples.push({ labels: { ...labels, status: value }, value: proc.status === value ? 1 : 0 });
+        }
+        cpu.samples.push({ labels, value: proc.cpu });
+        memory.samples.push({ labels, value: proc.memory });
+        restarts.samples.push({ labels, value: proc.restarts || 0 });
+        unstableRestarts.samples.push({ labels, value: proc.unstableRestarts || 0 });
+        uptime.samples.push({ labels, value: proc.status === 'online' && proc.startedAt ? Math.max(0, (now - proc.startedAt) / 1000) : 0 });
+        for (const metric of proc.axmMetrics) {
+            axm.samples.push({ labels: { ...labels, metric: metric.label, unit: metric.unit }, value: metric.value });
+        }
+    }
+
+    return families.map(family => [
+        `# HELP ${family.name} ${family.help}`,
+        `# TYPE ${family.name} ${family.type}`,
+        ...family.samples.map(sample => `${family.name}{${formatLabels(sample.labels)}} ${formatValue(sample.value)}`)
+    ].join('\n')).join('\n') + '\n';
+};
+
+export { formatPrometheusMetrics };
@@ -1,41 +1,533 @@
 import fs from 'fs-extra';
 import config from '../config/index.js';
 import { validateFilePath } from './path-validator.util.js';
+import { parseLogTimestamp } from './log-timestamp.util.js';
 
-const readLogsReverse = async (params) => {
-  let { filePath, nextKey: endBytes = null, linesPerRequest: lines = config.DEFAULTS.LINES_PER_REQUEST } = params
-  endBytes = parseInt(endBytes)
-  lines = parseInt(lines)
-  return new Promise((resolve) => {
-    if(!filePath || lines < 1 || isNaN(lines)){
-      console.error('Input params error : ', {filePath, lines})
-      return resolve({lines: [], nextKey: -1, linesPerRequest: config.DEFAULTS.LINES_PER_REQUEST})
+const { LINES_PER_REQUEST, MAX_LINES_PER_REQUEST, LOG_READ_CHUNK_BYTES, LOG_FILTER_MAX_SCAN_BYTES } = config.DEFAULTS;
+
+const NEWLINE = 10;
+
+// Last known line count per file, so jumping to the end only counts newly written bytes
+const lineCountCache = new Map();
+
+/**
+ * Cursors are opaque to clients: byte offset of a line start, its line number and
+ * the file inode, so a cursor from before a rotation is not applied to the new file
+ */
+const encodeCursor = ({ offset, lineNumber, inode }) => {
+  return Buffer.from(JSON.stringify({ o: offset, n: lineNumber, i: inode })).toString('base64url');
+}
+
+const decodeCursor = (cursor) => {
+  try {
+    const { o, n, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    if (!Number.isInteger(o) || o < 0 || !Number.isInteger(n) || n < 1) {
+      throw new Error();
+    }
+    return { offset: o, lineNumber: n, inode: i };
+  } catch (err) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+const readRange = async (fd, start, end) => {
+  const buffer = Buffer.alloc(end - start);
+  const { bytesRead } = await fs.read(fd, buffer, 0, buffer.length, start);
+  return buffer.subarray(0, bytesRead);
+}
+
+const countNewlines = (buffer) => {
+  let count = 0;
+  let index = buffer.indexOf(NEWLINE);
+  while (index !== -1) {
+    count++;
+    index = buffer.indexOf(NEWLINE, index + 1);
+  }
+  return count;
+}
+
+// Bytes right before the counted offset, to tell a grown file from a flushed and rewritten one
+const readCountMarker = async (fd, offset) => {
+  return (await readRange(fd, Math.max(0, offset - 32), offset)).toString('hex');
+}
+
+/**
+ * Number of lines that end before the given byte offset
+ */
+const countLinesBefore = async (fd, filePath, inode, offset) => {
+  const cached = lineCountCache.get(filePath);
+  let position = 0;
+  let count = 0;
+
+  const isCacheUsable = cached && cached.inode === inode && cached.offset <= offset
+    && cached.marker === await readCountMarker(fd, cached.offset);
+  if (isCacheUsable) {
+    position = cached.offset;
+    count = cached.count;
+  }
+
+  while (position < offset) {
+    const chunk = await readRange(fd, position, Math.min(offset, position + LOG_READ_CHUNK_BYTES));
+    if (chunk.length === 0) {
+      break;
+    }
+    count += countNewlines(chunk);
+    position += chunk.length;
+  }
+
+  if (!cached || cached.inode !== inode || offset >= cached.offset) {
+    lineCountCache.set(filePath, { inode, offset, count, marker: await readCountMarker(fd, offset) });
+  }
+  return count;
+}
+
+/**
+ * Offset of the start of the line containing `offset`
+ */
+const findLineStart = async (fd, offset) => {
+  let end = offset;
+  while (end > 0) {
+    const start = Math.max(0, end - LOG_READ_CHUNK_BYTES);
+    const chunk = await readRange(fd, start, end);
+    const newline = chunk.lastIndexOf(NEWLINE);
+    if (newline !== -1) {
+      return start + newline + 1;
     }
+    end = start;
+  }
+  return 0;
+}
 
-    // Validate file path for security
+// Offset of the first line starting at or after `offset`, or `end`
+const findNextLineStart = async (fd, offset, end) => {
+  if (offset === 0) {
+    return 0;
+  }
+  let position = offset - 1;
+  while (position < end) {
+    const chunk = await readRange(fd, position, Math.min(end, position + LOG_READ_CHUNK_BYTES));
+    if (chunk.length === 0) {
+      break;
+    }
+    const newline = chunk.indexOf(NEWLINE);
+    if (newline !== -1) {
+      return position + newline + 1;
+    }
+    position += chunk.length;
+  }
+  return end;
+}
+
+/**
+ * Split complete lines out of a buffer that starts at a line boundary
+ */
+const splitLines = (buffer, bufferStart, firstLineNumber) => {
+  const lines = [];
+  let lineStart = 0;
+  let newline = buffer.indexOf(NEWLINE);
+  while (newline !== -1) {
+    lines.push({
+      lineNumber: firstLineNumber + lines.length,
+      offset: bufferStart + lineStart,
+      line: buffer.toString('utf-8', lineStart, newline).replace(/\r$/, '')
+    });
+    lineStart = newline + 1;
+    newline = buffer.indexOf(NEWLINE, lineStart);
+  }
+  return { lines, end: bufferStart + lineStart };
+}
+
+// Up to `count` complete lines ending at `end`, not before `floor` (both line boundaries)
+const readLinesBackward = async (fd, end, count, floor = 0) => {
+  const chunks = [];
+  let start = end;
+  let newlines = 0;
+
+  // One extra newline marks the start of the first wanted line
+  while (start > floor && newlines <= count) {
+    const chunkStart = Math.max(floor, start - LOG_READ_CHUNK_BYTES);
+    const chunk = await readRange(fd, chunkStart, start);
+    chunks.unshift(chunk);
+    newlines += countNewlines(chunk);
+    start = chunkStart;
+  }
+
+  let buffer = Buffer.concat(chunks);
+  if (newlines > count) {
+    let skip = newlines - count;
+    let index = -1;
+    while (skip-- > 0) {
+      index = buffer.indexOf(NEWLINE, index + 1);
+    }
+    buffer = buffer.subarray(index + 1);
+    start = end - buffer.length;
+  }
+  return { buffer, start };
+}
+
+// Up to `count` complete lines starting at `start` (a line boundary)
+const readLinesForward = async (fd, start, count, fileSize) => {
+  const chunks = [];
+  let end = start;
+  let newlines = 0;
+
+  while (end < fileSize && newlines < count) {
+    const chunk = await readRange(fd, end, Math.min(fileSize, end + LOG_READ_CHUNK_BYTES));
+    if (chunk.length === 0) {
+      break;
+    }
+    chunks.push(chunk);
+    newlines += countNewlines(chunk);
+    end += chunk.length;
+  }
+
+  let buffer = Buffer.concat(chunks);
+  if (newlines > count) {
+    let index = -1;
+    for (let i = 0; i < count; i++) {
+      index = buffer.indexOf(NEWLINE, index + 1);
+    }
+    buffer = buffer.subarray(0, index + 1);
+  }
+  return { buffer, start };
+}
+
+/**
+ * Call onLine(line, offset) for every complete line between two line boundaries,
+ * until it returns true. Returns the offset of that line, or null.
+ */
+const scanLines = async (fd, start, end, onLine) => {
+  let position = start;
+  let partial = Buffer.alloc(0);
+
+  while (position < end) {
+    const chunk = await readRange(fd, position, Math.min(end, position + LOG_READ_CHUNK_BYTES));
+    if (chunk.length === 0) {
+      break;
+    }
+    const data = partial.length > 0 ? Buffer.concat([partial, chunk]) : chunk;
+    const dataStart = position - partial.length;
+    let lineStart = 0;
+    let newline = data.indexOf(NEWLINE);
+
+    while (newline !== -1) {
+      if (onLine(data.subarray(lineStart, newline), dataStart + lineStart)) {
+        return dataStart + lineStart;
+      }
+      lineStart = newline + 1;
+      newline = data.indexOf(NEWLINE, lineStart);
+    }
+
+    partial = data.subarray(lineStart);
+    position += chunk.length;
+  }
+  return null;
+}
+
+// Only the start of a line can hold its timestamp
+const lineTimestamp = (line) => {
+  return parseLogTimestamp(line.toString('utf-8', 0, Math.min(line.length, 128)));
+}
+
+/**
+ * Offset of the first line in [start, end) whose own timestamp matches `isPast`, or `end`
+ * `isPast` must flip from false to true once (e.g. `ts >= since`); lines are assumed to be
+ * written in time order, so the file is binary searched and only the last chunk is scanned.
+ */
+const findTimeBoundary = async (fd, start, end, isPast) => {
+  let low = start;
+  let high = end;
+
+  while (high - low > LOG_READ_CHUNK_BYTES) {
+    const middle = Math.floor((low + high) / 2);
+    const probeStart = await findNextLineStart(fd, middle, high);
+
+    let probe = null;
+    if (probeStart < high) {
+      await scanLines(fd, probeStart, Math.min(high, probeStart + LOG_READ_CHUNK_BYTES), (line, offset) => {
+        const timestamp = lineTimestamp(line);
+        if (timestamp !== null) {
+          probe = { offset, next: offset + line.length + 1, past: isPast(timestamp) };
+          return true;
+        }
+        return false;
+      });
+    }
+
+    if (!probe) {
+      // No timestamp near the middle, scan the whole range instead
+      break;
+    }
+    if (probe.past) {
+      high = probe.offset;
+    } else {
+      low = probe.next;
+    }
+  }
+
+  const boundary = await scanLines(fd, low, high, (line) => {
+    const timestamp = lineTimestamp(line);
+    return timestamp !== null && isPast(timestamp);
+  });
+  return boundary === null ? high : boundary;
+}
+
+const isLineStart = async (fd, offset) => {
+  if (offset === 0) {
+    return true;
+  }
+  const previous = await readRange(fd, offset - 1, offset);
+  return previous[0] === NEWLINE;
+}
+
+/**
+ * Read a page of log lines with exact line boundaries
+ * - `from: 'end'` (default) reads the last lines, `from: 'start'` the first ones,
+ *   a byte offset reads forward from the line containing it
+ * - `cursor` with `direction: 'backward' | 'forward'` continues from a previous page
+ * - `since` / `until` (ms) limit pages to the lines logged in that time window,
+ *   using the timestamps PM2 prefixes lines with
+ * - `filter(line)` keeps only matching lines; at most LOG_FILTER_MAX_SCAN_BYTES are read
+ *   per page, so a page can hold fewer lines without being at the start or end
+ * Only newline-terminated lines are returned; a line still being written shows up
+ * once it is complete.
+ */
+const readLogs = async (params) => {
+  let { filePath, cursor = null, direction = 'backward', from = 'end', since = null, until = null, filter = null, linesPerRequest: lines = LINES_PER_REQUEST } = params
+  lines = Math.min(parseInt(lines), MAX_LINES_PER_REQUEST)
+
+  const empty = { lines: [], previousCursor: null, nextCursor: null, atStart: true, atEnd: true, fileSize: 0, linesPerRequest: LINES_PER_REQUEST }
+
+  if(!filePath || lines < 1 || isNaN(lines)){
+    console.error('Input params error : ', {filePath, lines})
+    return empty
+  }
+
+  if (direction !== 'backward' && direction !== 'forward') {
+    throw new Error('Direction must be backward or forward');
+  }
+
+  // Validate file path for security
+  try {
+    filePath = validateFilePath(filePath);
+  } catch (err) {
+    console.error('File path validation failed:', err.message);
+    return empty
+  }
+
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const { size, ino: inode } = await fs.fstat(fd);
+    // Ignore a trailing line that is still being written
+    const fileEnd = await findLineStart(fd, size);
+
+    const windowStart = since !== null ? await findTimeBoundary(fd, 0, fileEnd, ts => ts >= since) : 0;
+    const windowEnd = until !== null ? await findTimeBoundary(fd, windowStart, fileEnd, ts => ts > until) : fileEnd;
+    const clamp = (offset) => Math.min(Math.max(offset, windowStart), windowEnd);
+
+    let position = null;
+    let lineNumber = null;
+    let reset = false;
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (decoded.inode === inode && decoded.offset <= fileEnd && await isLineStart(fd, decoded.offset)) {
+        position = clamp(decoded.offset);
+        // A moving window ("last 15 minutes") can leave the cursor behind
+        lineNumber = position === decoded.offset ? decoded.lineNumber : null;
+      } else {
+        // File was flushed or rotated since the cursor was issued
+        reset = true;
+        direction = 'backward';
+      }
+    } else if (from === 'start') {
+      position = windowStart;
+      direction = 'forward';
+    } else if (from !== 'end' && from !== null && from !== undefined) {
+      const offset = parseInt(from);
+      if (isNaN(offset) || offset < 0) {
+        throw new Error('From must be start, end or a byte offset');
+      }
+      position = clamp(await findLineStart(fd, Math.min(offset, fileEnd)));
+      direction = 'forward';
+    } else {
+      direction = 'backward';
+    }
+
+    if (position === null) {
+      position = windowEnd;
+    }
+    if (lineNumber === null) {
+      lineNumber = position === 0 ? 1 : await countLinesBefore(fd, filePath, inode, position) + 1;
+    }
+
+    let start = position;
+    let end = position;
+    let firstLineNumber = lineNumber;
+    let lastLineNumber = lineNumber;
+    let data = [];
+    let scannedBytes = 0;
+
+    // Without a filter this runs once; with one, pages are read until enough lines match
+    do {
+      if (direction === 'backward') {
+        const page = await readLinesBackward(fd, start, lines, windowStart);
+        const pageFirstLineNumber = firstLineNumber - countNewlines(page.buffer);
+        const { lines: pageLines } = splitLines(page.buffer, page.start, pageFirstLineNumber);
+        data = [...(filter ? pageLines.filter(({ line }) => filter(line)) : pageLines), ...data];
+        scannedBytes += start - page.start;
+        start = page.start;
+        firstLineNumber = pageFirstLineNumber;
+        if (data.length >= lines) {
+          // Older matches in this page are read again by the next page
+          data = data.slice(-lines);
+          start = data[0].offset;
+          firstLineNumber = data[0].lineNumber;
+          break;
+        }
+        if (pageLines.length === 0) {
+          break;
+        }
+      } else {
+        const page = await readLinesForward(fd, end, lines, windowEnd);
+        const { lines: pageLines, end: pageEnd } = splitLines(page.buffer, page.start, lastLineNumber);
+        const matching = filter ? pageLines.filter(({ line }) => filter(line)) : pageLines;
+        scannedBytes += pageEnd - end;
+        end = pageEnd;
+        lastLineNumber += pageLines.length;
+        if (data.length + matching.length >= lines) {
+          data = [...data, ...matching.slice(0, lines - data.length)];
+          const last = pageLines.indexOf(data[data.length - 1]);
+          if (last < pageLines.length - 1) {
+            end = pageLines[last + 1].offset;
+            lastLineNumber = pageLines[last + 1].lineNumber;
+          }
+          break;
+        }
+        data = [...data, ...matching];
+        if (pageLines.length === 0) {
+          break;
+        }
+      }
+    } while (filter && scannedBytes < LOG_FILTER_MAX_SCAN_BYTES);
+
+    if (direction === 'forward') {
+      start = position;
+      firstLineNumber = lineNumber;
+    }
+
+    return {
+      lines: data,
+      previousCursor: start > windowStart ? encodeCursor({ offset: start, lineNumber: firstLineNumber, inode }) : null,
+      nextCursor: encodeCursor({ offset: end, lineNumber: lastLineNumber, inode }),
+      atStart: start <= windowStart,
+      atEnd: end >= windowEnd,
+      fileSize: size,
+      linesPerRequest: lines,
+      ...(reset && { reset })
+    };
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Give every line a timestamp, lines without one take the one of the line before them
+ * (or after them, at the start of a page)
+ */
+const assignTimestamps = (lines) => {
+  let timestamp = null;
+  const stamped = lines.map(line => {
+    const own = parseLogTimestamp(line.line);
+    timestamp = own !== null ? own : timestamp;
+    return { ...line, timestamp };
+  });
+  const first = stamped.find(line => line.timestamp !== null);
+  for (const line of stamped) {
+    if (line.timestamp !== null) {
+      break;
+    }
+    line.timestamp = first ? first.timestamp : null;
+  }
+  return stamped;
+}
+
+/**
+ * Read stdout and stderr as one chronologically interleaved view, newest page first
+ * `sources` maps a source name to its log file. Pages only go backward: the merged
+ * cursor keeps one file cursor per source, each source's lines stay in file order.
+ * Lines without any timestamp sort before timestamped ones.
+ */
+const readMergedLogs = async (params) => {
+  let { sources, cursor = null, since = null, until = null, filter = null, linesPerRequest: lines = LINES_PER_REQUEST } = params
+  lines = Math.min(parseInt(lines) || LINES_PER_REQUEST, MAX_LINES_PER_REQUEST)
+
+  let cursors = {};
+  if (cursor) {
     try {
-      filePath = validateFilePath(filePath);
+      cursors = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
     } catch (err) {
-      console.error('File path validation failed:', err.message);
-      return resolve({lines: [], nextKey: -1, linesPerRequest: config.DEFAULTS.LINES_PER_REQUEST})
-    }
-
-    const fileSize = fs.statSync(filePath).size
-    const end = endBytes && endBytes >= 0? endBytes : fileSize
-    const dataSize = lines * 200
-    const start = Math.max(0, end - dataSize);
-    let data = '';
-    const logFile = fs.createReadStream(filePath, {start : start, end});
-    logFile.on('data', function(chunk) { data += chunk.toString(); });
-    logFile.on('end', function() {
-      data = data.split('\n')
-      data = data.slice(-(lines+1));
-      const sentDataSize = Buffer.byteLength(data.join('\n'), 'utf-8')
-      const nextKey = (end - sentDataSize)
-      data.pop();
-      return resolve({lines: data, nextKey, linesPerRequest: lines});
-    });
-  })
+      throw new Error('Invalid cursor');
+    }
+    if (!cursors || typeof cursors !== 'object' || Array.isArray(cursors)) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  const pages = [];
+  let reset = false;
+  for (const [source, filePath] of Object.entries(sources)) {
+    // false marks a source that was read back to its start
+    if (cursors[source] === false) {
+      continue;
+    }
+    const page = await readLogs({ filePath, cursor: cursors[source] || null, direction: 'backward', since, until, filter, linesPerRequest: lines });
+    reset = reset || Boolean(page.reset);
+    pages.push({ source, page, lines: assignTimestamps(page.lines).map(line => ({ source, ...line })) });
+  }
+
+  // Merge from the newest line back, keeping each source in file order
+  const merged = [];
+  const consumed = Object.fromEntries(pages.map(({ source }) => [source, 0]));
+  while (merged.length < lines) {
+    let next = null;
+    for (const { source, lines: sourceLines } of pages) {
+      const candidate = sourceLines[sourceLines.length - 1 - consumed[source]];
+      if (candidate && (!next || (candidate.timestamp ?? -Infinity) > (next.timestamp ?? -Infinity))) {
+        next = candidate;
+      }
+    }
+    if (!next) {
+      break;
+    }
+    consumed[next.source]++;
+    merged.unshift(next);
+  }
+
+  const nextCursors = { ...cursors };
+  for (const { source, page, lines: sourceLines } of pages) {
+    if (consumed[source] === sourceLines.length) {
+      // Everything read was shown (or nothing matched), continue before this page
+      nextCursors[source] = page.atStart ? false : page.previousCursor;
+    } else if (consumed[source] > 0) {
+      const oldest = sourceLines[sourceLines.length - consumed[source]];
+      const { inode } = decodeCursor(page.nextCursor);
+      nextCursors[source] = encodeCursor({ offset: oldest.offset, lineNumber: oldest.lineNumber, inode });
+    } else {
+      nextCursors[source] = cursors[source] || page.nextCursor;
+    }
+  }
+
+  const atStart = Object.keys(sources).every(source => nextCursors[source] === false);
+  return {
+    lines: merged,
+    previousCursor: atStart ? null : Buffer.from(JSON.stringify(nextCursors)).toString('base64url'),
+    nextCursor: null,
+    atStart,
+    atEnd: !cursor,
+    linesPerRequest: lines,
+    ...(reset && { reset })
+  };
 }
 
-export { readLogsReverse };
\ No newline at end of file
+export { readLogs, readMergedLogs };
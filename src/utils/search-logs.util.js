@@ -0,0 +1,193 @@
+import fs from 'fs-extra';
+import { Worker } from 'worker_threads';
+import config from '../config/index.js';
+import { validateFilePath } from './path-validator.util.js';
+
+const {
+  SEARCH_DEFAULT_RESULTS,
+  SEARCH_MAX_RESULTS,
+  SEARCH_MAX_CONTEXT,
+  SEARCH_MAX_QUERY_LENGTH,
+  SEARCH_MAX_LINE_LENGTH,
+  SEARCH_REGEX_TIMEOUT,
+  SEARCH_REGEX_MEMORY_MB
+} = config.DEFAULTS;
+
+const NEWLINE = 10;
+// Color codes are stripped so searches match the text as it is displayed
+const ANSI_ESCAPE = /\u001b\[[0-9;]*[A-Za-z]/g;
+
+/**
+ * Build the line matcher for a search query
+ * Throws when the query is empty, too long or an invalid regex
+ */
+const createMatcher = ({ query, regex = false, caseSensitive = false }) => {
+  if (typeof query !== 'string' || !query) {
+    throw new Error('Search query is required');
+  }
+  if (query.length > SEARCH_MAX_QUERY_LENGTH) {
+    throw new Error(`Search query must be at most ${SEARCH_MAX_QUERY_LENGTH} characters`);
+  }
+
+  if (regex) {
+    let pattern;
+    try {
+      pattern = new RegExp(query, caseSensitive ? '' : 'i');
+    } catch (err) {
+      throw new Error(err.message);
+    }
+    return (line) => pattern.test(line);
+  }
+
+  if (caseSensitive) {
+    return (line) => line.indexOf(query) !== -1;
+  }
+  const term = query.toLowerCase();
+  return (line) => line.toLowerCase().indexOf(term) !== -1;
+}
+
+/**
+ * Search a log file line by line without loading it in memory
+ * Every match carries its 1-based line number, start/end byte offsets and up to
+ * `context` lines before and after it. Lines longer than SEARCH_MAX_LINE_LENGTH bytes
+ * are only matched on their start. Pass an AbortSignal to stop reading early,
+ * the promise then rejects with an AbortError.
+ */
+const scanLogFile = async (params) => {
+  let { filePath, query, regex = false, caseSensitive = false, context = 0, limit = SEARCH_DEFAULT_RESULTS, signal } = params
+  context = Math.min(Math.max(parseInt(context) || 0, 0), SEARCH_MAX_CONTEXT)
+  limit = Math.min(Math.max(parseInt(limit) || SEARCH_DEFAULT_RESULTS, 1), SEARCH_MAX_RESULTS)
+
+  const matches = createMatcher({ query, regex, caseSensitive })
+  const result = { matches: [], truncated: false, scannedBytes: 0 }
+
+  try {
+    filePath = validateFilePath(filePath);
+  } catch (err) {
+    console.error('File path validation failed:', err.message);
+    return result
+  }
+
+  const before = [];
+  let pendingAfter = [];
+  let lineNumber = 0;
+  // Byte offset of the current line and its start, cut at SEARCH_MAX_LINE_LENGTH
+  let lineOffset = 0;
+  let partial = Buffer.alloc(0);
+
+  // Returns false once the search is complete
+  const handleLine = (text, start, end) => {
+    lineNumber++;
+    const line = { lineNumber, offset: start, endOffset: end, line: text.replace(/\r$/, '').replace(ANSI_ESCAPE, '') };
+
+    pendingAfter = pendingAfter.filter(match => {
+      match.after.push(line);
+      return match.after.length < context;
+    });
+
+    if (!result.truncated && matches(line.line)) {
+      if (result.matches.length < limit) {
+        const match = { ...line, before: [...before], after: [] };
+        result.matches.push(match);
+        if (context > 0) {
+          pendingAfter.push(match);
+        }
+      } else {
+        result.truncated = true;
+      }
+    }
+
+    if (context > 0) {
+      before.push(line);
+      if (before.length > context) {
+        before.shift();
+      }
+    }
+
+    return !(result.truncated && pendingAfter.length === 0);
+  }
+
+  // Start of the line from `start` to `end` in the chunk, after what was kept of it from the previous chunks
+  const lineText = (chunk, start, end) => {
+    const rest = chunk.subarray(start, Math.min(end, start + SEARCH_MAX_LINE_LENGTH - partial.length));
+    return partial.length > 0 ? Buffer.concat([partial, rest]) : rest;
+  }
+
+  const stream = fs.createReadStream(filePath, { signal });
+  let position = 0;
+  try {
+    for await (const chunk of stream) {
+      let lineStart = 0;
+      let newline = chunk.indexOf(NEWLINE);
+
+      while (newline !== -1) {
+        const text = lineText(chunk, lineStart, newline).toString('utf-8');
+        const end = position + newline + 1;
+        partial = Buffer.alloc(0);
+        if (!handleLine(text, lineOffset, end)) {
+          result.scannedBytes = end;
+          return result;
+        }
+        lineOffset = end;
+        lineStart = newline + 1;
+        newline = chunk.indexOf(NEWLINE, lineStart);
+      }
+
+      partial = lineText(chunk, lineStart, chunk.length);
+      position += chunk.length;
+      result.scannedBytes = lineOffset;
+    }
+
+    // Last line without a trailing newline
+    if (position > lineOffset) {
+      handleLine(partial.toString('utf-8'), lineOffset, position);
+      result.scannedBytes = position;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  return result
+}
+
+/**
+ * Regex searches run in a worker thread, so a pattern that backtracks for a long time cannot block
+ * the web UI: the worker is terminated after SEARCH_REGEX_TIMEOUT or when the signal aborts.
+ */
+const searchInWorker = ({ signal, ...params }) => new Promise((resolve, reject) => {
+  signal?.throwIfAborted();
+
+  const worker = new Worker(new URL('./search-logs.worker.js', import.meta.url), {
+    workerData: params,
+    // The config is loaded again in the worker, without the dotenv banner
+    env: { ...process.env, DOTENV_CONFIG_QUIET: 'true' },
+    resourceLimits: { maxOldGenerationSizeMb: SEARCH_REGEX_MEMORY_MB }
+  });
+
+  let settled = false;
+  const finish = (settle) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+    worker.terminate();
+    settle();
+  }
+  const onAbort = () => finish(() => reject(signal.reason));
+  const timer = setTimeout(() => finish(() => {
+    const err = new Error(`The regex search took more than ${SEARCH_REGEX_TIMEOUT / 1000}s, use a simpler pattern`);
+    err.name = 'SearchTimeoutError';
+    reject(err);
+  }), SEARCH_REGEX_TIMEOUT);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+  worker.once('message', ({ result, error }) => finish(() => error ? reject(new Error(error)) : resolve(result)));
+  worker.once('error', (err) => finish(() => reject(err)));
+  worker.once('exit', (code) => finish(() => reject(new Error(`Log search stopped with exit code ${code}`))));
+})
+
+const searchLogs = (params) => params.regex ? searchInWorker(params) : scanLogFile(params)
+
+export { searchLogs, scanLogFile, createMatcher };
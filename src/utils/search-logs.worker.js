@@ -0,0 +1,8 @@
+import { parentPort, workerData } from 'worker_threads';
+import { scanLogFile } from './search-logs.util.js';
+
+// Runs one regex search off the main thread, see searchInWorker
+scanLogFile(workerData).then(
+  (result) => parentPort.postMessage({ result }),
+  (err) => parentPort.postMessage({ error: err.message })
+);
@@ -0,0 +1,187 @@
+import path from 'path';
+import fs from 'fs-extra';
+import config from '../config/index.js';
+import { validateFilePath } from './path-validator.util.js';
+
+const {
+    LOG_TAIL_POLL_INTERVAL,
+    LOG_TAIL_BACKLOG_BYTES,
+    LOG_TAIL_MAX_READ_BYTES
+} = config.DEFAULTS;
+
+const NEWLINE = 10;
+
+const statFile = async (filePath) => {
+    try {
+        return await fs.stat(filePath);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return null;
+        }
+        throw err;
+    }
+}
+
+// Same checks as the other log readers, except that a log pm2 has not created yet is allowed
+const resolveLogPath = (filePath) => {
+    try {
+        return validateFilePath(filePath);
+    } catch (err) {
+        if (typeof filePath === 'string' && !fs.existsSync(path.resolve(filePath))) {
+            return path.resolve(filePath);
+        }
+        throw err;
+    }
+}
+
+const readRange = async (filePath, start, end) => {
+    const fd = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(end - start);
+        const { bytesRead } = await fs.read(fd, buffer, 0, buffer.length, start);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await fs.close(fd);
+    }
+}
+
+/**
+ * Follow a log file like `tail -f`
+ * onLine(line, offset, inode) is called for every complete line, offset being the byte
+ * position right after it, so it can be handed back with the inode as `offset` and
+ * `inode` to resume. onLine may return a promise, e.g. until the client drained what
+ * was sent, and the file is not read further before it resolves.
+ * Without an offset the last LOG_TAIL_BACKLOG_BYTES of the file are replayed first.
+ * Truncation (pm2 flush) and rotation (new inode) restart from the beginning of the
+ * new file and call onTruncate(), also when they happened before resuming.
+ */
+const tailLogFile = async (params) => {
+    const { offset = null, inode: resumeInode = null, onLine, onTruncate = () => {}, onError = () => {} } = params
+    const filePath = resolveLogPath(params.filePath);
+
+    let stats = await statFile(filePath);
+    let inode = stats ? stats.ino : null;
+    let position;
+    let skipFirstLine = false;
+    let partial = Buffer.alloc(0);
+    let reading = false;
+    let readAgain = false;
+    let stopped = false;
+    let watcher = null;
+
+    const size = stats ? stats.size : 0;
+    if (offset === null || isNaN(offset) || offset < 0) {
+        position = Math.max(0, size - LOG_TAIL_BACKLOG_BYTES);
+        // The backlog most likely starts in the middle of a line
+        skipFirstLine = position > 0;
+    } else if (resumeInode !== null && stats && stats.ino !== resumeInode) {
+        // Rotated since, the offset belongs to the previous file
+        position = 0;
+        onTruncate();
+    } else if (offset <= size) {
+        position = offset;
+    } else {
+        // Resume point is past the end, the file was truncated since
+        position = 0;
+        onTruncate();
+    }
+
+    const emitLines = (chunk) => {
+        const data = partial.length > 0 ? Buffer.concat([partial, chunk]) : chunk;
+        const dataStart = position - data.length;
+        let pending = null;
+        let lineStart = 0;
+        let newline = data.indexOf(NEWLINE, lineStart);
+
+        while (newline !== -1) {
+            if (skipFirstLine) {
+                skipFirstLine = false;
+            } else {
+                const line = data.toString('utf-8', lineStart, newline).replace(/\r$/, '');
+                pending = onLine(line, dataStart + newline + 1, inode) ?? pending;
+            }
+            lineStart = newline + 1;
+            newline = data.indexOf(NEWLINE, lineStart);
+        }
+
+        partial = data.subarray(lineStart);
+        return pending;
+    }
+
+    const watch = () => {
+        if (watcher) {
+            watcher.close();
+            watcher = null;
+        }
+        try {
+            watcher = fs.watch(filePath, () => readNew());
+            watcher.on('error', () => {
+                // Polling keeps following the file
+                watcher = null;
+            });
+        } catch (err) {
+            // File does not exist yet, polling picks it up once it does
+            watcher = null;
+        }
+    }
+
+    const readNew = async () => {
+        if (stopped) {
+            return;
+        }
+        if (reading) {
+            readAgain = true;
+            return;
+        }
+
+        reading = true;
+        try {
+            do {
+                readAgain = false;
+                stats = await statFile(filePath);
+                if (!stats || stopped) {
+                    continue;
+                }
+
+                if (stats.ino !== inode || stats.size < position) {
+                    inode = stats.ino;
+                    position = 0;
+                    partial = Buffer.alloc(0);
+                    skipFirstLine = false;
+                    onTruncate();
+                    watch();
+                }
+
+                if (stats.size > position) {
+                    const end = Math.min(stats.size, position + LOG_TAIL_MAX_READ_BYTES);
+                    const chunk = await readRange(filePath, position, end);
+                    position += chunk.length;
+                    await emitLines(chunk);
+                    // The file may have changed while the client was catching up
+                    readAgain = readAgain || position < stats.size;
+                }
+            } while (readAgain && !stopped);
+        } catch (err) {
+            onError(err);
+        } finally {
+            reading = false;
+        }
+    }
+
+    watch();
+    const poller = setInterval(readNew, LOG_TAIL_POLL_INTERVAL);
+    readNew();
+
+    return {
+        stop: () => {
+            stopped = true;
+            clearInterval(poller);
+            if (watcher) {
+                watcher.close();
+                watcher = null;
+            }
+        }
+    };
+}
+
+export { tailLogFile };
@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+
+/**
+ * TOTP (RFC 6238) with the defaults of authenticator apps: SHA-1, 6 digits, 30 second steps
+ * Secrets are base32 strings, as shown to users and put in otpauth:// URIs.
+ */
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes of the previous and next step are accepted too, for clock drift
+const TOTP_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (value) => {
+    const bits = value.toUpperCase().replace(/[\s=]/g, '').split('').map(char => {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 secret');
+        }
+        return index.toString(2).padStart(5, '0');
+    }).join('');
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// 160 bit secret, the size RFC 4226 recommends for SHA-1
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+const totpStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+// Code of the current step, for tests and the setup script
+const generateTotpCode = (secret, time = Date.now()) => hotp(base32Decode(secret), totpStep(time));
+
+/**
+ * Check a code against the steps around `time`
+ * Returns the matched step, or null. Steps up to `lastStep` are rejected so a code cannot be replayed.
+ */
+const verifyTotpCode = (secret, code, { time = Date.now(), lastStep = null } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+        return null;
+    }
+    const key = base32Decode(secret);
+    const current = totpStep(time);
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+        if (lastStep !== null && step <= lastStep) {
+            continue;
+        }
+        if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+};
+
+// URI for authenticator apps, usually shown as a QR code
+const totpUri = (secret, { issuer, account }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({ secret, issuer, algorithm: 'SHA1', digits: TOTP_DIGITS, period: TOTP_STEP_SECONDS });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+export {
+    generateTotpSecret,
+    generateTotpCode,
+    verifyTotpCode,
+    totpUri
+};